@@ -6,7 +6,7 @@
 // See license in LICENSE
 //
 
-import validate, { formalize, keyPaths, merge, plugins } from './lib/index.js';
+import validate, { formalize, compile, keyPaths, merge, plugins, registry, formats, ref, jsonSchema, openApi, toTypeScript, web } from './lib/index.js';
 
 export default validate;
-export { validate, formalize, keyPaths, merge, plugins };
+export { validate, formalize, compile, keyPaths, merge, plugins, registry, formats, ref, jsonSchema, openApi, toTypeScript, web };
@@ -0,0 +1,45 @@
+//
+// fastify.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { compileRequest, clientError } from '../request.js';
+
+// Returns a hook (eg. `preValidation` or `preHandler`) that validates the
+// request in place - errors are rendered by Fastify as 400.
+export function request(schemas, options) {
+
+	const validate = compileRequest(schemas, options);
+
+	return async function(request, reply) {
+		try {
+			await validate(request, { request, reply });
+		} catch (error) {
+			throw clientError(error);
+		}
+	};
+
+}
+
+export function body(schema, options) {
+	return request({ body: schema }, options);
+}
+
+export function query(schema, options) {
+	return request({ query: schema }, options);
+}
+
+export function params(schema, options) {
+	return request({ params: schema }, options);
+}
+
+export function headers(schema, options) {
+	return request({ headers: schema }, options);
+}
+
+export function cookies(schema, options) {
+	return request({ cookies: schema }, options);
+}
@@ -0,0 +1,100 @@
+//
+// hono.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { compileRequest, clientError } from '../request.js';
+import { fromEntries, parseBody as parseMessage } from '../web.js';
+import problem from '../problem.js';
+import ValidationError from '../errors/validation.js';
+
+// The validation targets of Hono for each part of a request.
+const targets = { params: 'param', query: 'query', headers: 'header', cookies: 'cookie' };
+
+// Malformed JSON is a validation error of the body - as with fetch API requests.
+const parseBody = async (c) => {
+	if (/^application\/(.+\+)?json/i.test(c.req.header('content-type') || '')) return ['json', await parseMessage(c.req.raw.clone())];
+	return ['form', await c.req.parseBody({ all: true })];
+};
+
+// Hono only renders errors with a response (like its `HTTPException`) - anything
+// else becomes a 500 - so validation errors are given a problem details response.
+const honoError = (error, c) => {
+
+	error = clientError(error);
+
+	if (!(error instanceof ValidationError)) return error;
+
+	error.getResponse = () => Response.json(problem(error, {
+		status: 400,
+		title: 'Bad Request',
+		instance: c.req.path,
+		expose: true
+	}), {
+		status: 400,
+		headers: { 'Content-Type': 'application/problem+json; charset=utf-8' }
+	});
+
+	return error;
+
+};
+
+// Validated parts are available through `c.req.valid(target)`.
+export function request(schemas, options) {
+
+	const validate = compileRequest(schemas, options);
+
+	return async function(c, next) {
+
+		const req = {
+			params: c.req.param(),
+			// Repeated keys become arrays - as with express.
+			query: fromEntries(Object.entries(c.req.queries())
+				.flatMap(([key, values]) => values.map((value) => [key, value]))),
+			headers: c.req.header()
+		};
+
+		let bodyTarget;
+		let validated;
+
+		try {
+			if (typeof schemas.body !== 'undefined') {
+				[bodyTarget, req.body] = await parseBody(c);
+			}
+			validated = await validate(req, { c });
+		} catch (error) {
+			throw honoError(error, c);
+		}
+
+		Object.keys(validated).forEach((part) => {
+			c.req.addValidatedData(part === 'body' ? bodyTarget : targets[part], validated[part]);
+		});
+
+		await next();
+
+	};
+
+}
+
+export function body(schema, options) {
+	return request({ body: schema }, options);
+}
+
+export function query(schema, options) {
+	return request({ query: schema }, options);
+}
+
+export function params(schema, options) {
+	return request({ params: schema }, options);
+}
+
+export function headers(schema, options) {
+	return request({ headers: schema }, options);
+}
+
+export function cookies(schema, options) {
+	return request({ cookies: schema }, options);
+}
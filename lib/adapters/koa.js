@@ -0,0 +1,60 @@
+//
+// koa.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { compileRequest, clientError } from '../request.js';
+
+// Validated parts are available at `ctx.state.validated` - params and body are
+// also assigned back to `ctx.params` and `ctx.request.body`.
+export function request(schemas, options) {
+
+	const validate = compileRequest(schemas, options);
+
+	return async function(ctx, next) {
+
+		const req = {
+			params: ctx.params || {},
+			query: ctx.query,
+			body: ctx.request.body,
+			files: ctx.request.files,
+			headers: Object.assign({}, ctx.headers)
+		};
+
+		try {
+			ctx.state.validated = Object.assign(ctx.state.validated || {}, await validate(req, { ctx }));
+		} catch (error) {
+			throw clientError(error);
+		}
+
+		ctx.params = req.params;
+		ctx.request.body = req.body;
+
+		await next();
+
+	};
+
+}
+
+export function body(schema, options) {
+	return request({ body: schema }, options);
+}
+
+export function query(schema, options) {
+	return request({ query: schema }, options);
+}
+
+export function params(schema, options) {
+	return request({ params: schema }, options);
+}
+
+export function headers(schema, options) {
+	return request({ headers: schema }, options);
+}
+
+export function cookies(schema, options) {
+	return request({ cookies: schema }, options);
+}
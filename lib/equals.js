@@ -8,37 +8,34 @@
 
 import { instanceTypeName } from './utils.js';
 
-const objectEquals = async (obj1, obj2) => {
+const objectEquals = (obj1, obj2) => {
 
 	const keys1 = Object.keys(obj1);
 	const keys2 = Object.keys(obj2);
 
-	if (!await arrayEquals(keys1, keys2)) return false;
+	if (!arrayEquals(keys1, keys2)) return false;
 
-	return !(await Promise.all(keys1.map((key) => {
+	return keys1.every((key) => {
 		return equals(obj1[key], obj2[key]);
-	}))).some((result) => {
-		return !result;
 	});
 
 };
 
-const arrayEquals = async (obj1, obj2) => {
+const arrayEquals = (obj1, obj2) => {
 
 	if (obj1.length != obj2.length) return false;
 
-	const sorted1 = obj1.sort();
-	const sorted2 = obj2.sort();
+	// Sort copies - as the arrays may be referenced data.
+	const sorted1 = [...obj1].sort();
+	const sorted2 = [...obj2].sort();
 
-	return !(await Promise.all(Object.keys(sorted1).map((idx) => {
+	return Object.keys(sorted1).every((idx) => {
 		return equals(sorted1[idx], sorted2[idx]);
-	}))).some((result) => {
-		return !result;
 	});
 
 };
 
-const equals = async (obj1, obj2) => {
+const equals = (obj1, obj2) => {
 
 	if ((obj1 && !obj2) || (!obj1 && obj2)) return false;
 	if (typeof obj1 !== typeof obj2) return false;
@@ -47,12 +44,36 @@ const equals = async (obj1, obj2) => {
 	if (typeof obj2.is === 'function') return obj2.is(obj1);
 
 	if (typeof obj1 === 'object') {
-		if (instanceTypeName(obj1) === 'object') return await objectEquals(obj1, obj2);
-		if (instanceTypeName(obj1) === 'array') return await arrayEquals(obj1, obj2);
+		if (instanceTypeName(obj1) === 'object') return objectEquals(obj1, obj2);
+		if (instanceTypeName(obj1) === 'array') return arrayEquals(obj1, obj2);
 	}
 
 	return obj1 === obj2;
 
 };
 
-export default equals;
+// Strict equality is sensitive to the order of arrays and compares dates by their time.
+const strictEquals = (obj1, obj2) => {
+
+	if (obj1 === obj2) return true;
+	if (typeof obj1 !== 'object' || typeof obj2 !== 'object' || obj1 === null || obj2 === null) return false;
+	if (Object.getPrototypeOf(obj1) !== Object.getPrototypeOf(obj2)) return false;
+
+	if (obj1 instanceof Date) return obj1.getTime() === obj2.getTime();
+
+	if (Array.isArray(obj1)) {
+		return obj1.length === obj2.length && obj1.every((value, idx) => strictEquals(value, obj2[idx]));
+	}
+
+	if (instanceTypeName(obj1) !== 'object') return false;
+
+	const keys1 = Object.keys(obj1);
+	const keys2 = Object.keys(obj2);
+
+	return keys1.length === keys2.length && keys1.every((key) => keys2.includes(key) && strictEquals(obj1[key], obj2[key]));
+
+};
+
+export { equals as sync, strictEquals as strict };
+
+export default async (obj1, obj2) => equals(obj1, obj2);
@@ -0,0 +1,69 @@
+//
+// files.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+// Files are recognized by their properties, as the objects produced by
+// multipart parsers differ - `File` objects, multer, formidable, busboy and
+// express-fileupload are all supported.
+
+const nameKeys = ['name', 'originalname', 'originalFilename', 'filename'];
+const mimeTypeKeys = ['type', 'mimetype', 'mimeType'];
+
+const first = (file, keys) => keys
+	.map((key) => file[key])
+	.find((value) => typeof value === 'string');
+
+export function isFile(data) {
+	return typeof data === 'object' && data !== null && typeof data.size === 'number' && typeof name(data) === 'string';
+}
+
+export function name(file) {
+	return first(file, nameKeys);
+}
+
+export function mimeType(file) {
+	return (first(file, mimeTypeKeys) || '').split(';')[0].trim().toLowerCase();
+}
+
+export function extension(file) {
+	const match = (name(file) || '').match(/\.([^./\\]+)$/);
+	if (match) return match[1].toLowerCase();
+}
+
+// Tests a MIME type against a list of MIME types - which may have wildcard subtypes (eg. `image/*`).
+export function matchesMimeType(mimeTypes, file) {
+	const [type, subtype] = mimeType(file).split('/');
+	return mimeTypes.some((mimeType) => {
+		const [expectedType, expectedSubtype] = mimeType.toLowerCase().split('/');
+		return expectedType === type && (expectedSubtype === '*' || expectedSubtype === subtype);
+	});
+}
+
+export function matchesExtension(extensions, file) {
+	return extensions
+		.map((extension) => extension.replace(/^\./, '').toLowerCase())
+		.includes(extension(file));
+}
+
+// Gathers uploaded files into an object keyed by field names - multer
+// provides `req.file` or an array of files in `req.files`, others an object.
+export function gather(req) {
+
+	if (typeof req.file !== 'undefined' && typeof req.files === 'undefined') {
+		return { [req.file.fieldname]: req.file };
+	}
+
+	if (Array.isArray(req.files)) {
+		return req.files.reduce((files, file) => {
+			files[file.fieldname] = (files[file.fieldname] || []).concat([file]);
+			return files;
+		}, {});
+	}
+
+	if (typeof req.files === 'object' && req.files !== null) return req.files;
+
+}
@@ -8,9 +8,86 @@
 
 import merge from '@trenskow/merge';
 import SchemaError from './errors/schema.js';
-import { instanceTypeName, typeName, isSameType } from './utils.js';
+import { instanceTypeName, typeName, isSameType, enumKeys, patterns } from './utils.js';
 import { formalize as _formalizeRange, testFormalizedRange } from './ranges.js';
 import { all as allPlugins } from './plugins.js';
+import { Reference } from './references.js';
+import { resolve as resolveFormat } from './formats.js';
+import { casings, normalizations } from './transforms.js';
+import { units } from './length.js';
+
+const unionValidators = ['anyOf', 'oneOf', 'allOf'];
+
+export const rangeOptions = {
+	len: {
+		allowNegative: false,
+		allowNonIntegers: false
+	},
+	range: {
+		allowNegative: true,
+		allowNonIntegers: true
+	},
+	count: {
+		allowNegative: false,
+		allowNonIntegers: false
+	}
+};
+
+const typeNames = ['object', 'array', 'string', 'number', 'boolean', 'date', 'file'];
+
+// The error message of a type is a string - that is not the name of a type.
+const isTypeShortcut = ([type, message, ...rest]) => {
+	return typeof type !== 'undefined' && rest.length === 0 && typeof message === 'string' && !typeNames.includes(message.toLowerCase());
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Values of enums are data - so values containing types are schemas.
+const hasTypes = (value) => {
+	if (typeof value === 'function') return true;
+	if (!Array.isArray(value) && !isPlainObject(value)) return false;
+	return Object.values(value).some(hasTypes);
+};
+
+// Schemas without any of these validators are considered shortcuts. Validators
+// added after shortcuts are only considered if their value is shaped like the
+// validator, so objects shortcuts with keys of the same names still work.
+const nonShortcutValidators = {
+	'type': (value) => value,
+	'post': (value) => value,
+	'pre': (value) => value,
+	'equal': (value) => value,
+	'$ref': (value) => typeof value === 'string',
+	'enum': (value) => value instanceof Map || value instanceof Reference || ((Array.isArray(value) || isPlainObject(value)) && !hasTypes(value)),
+	'when': (value) => isPlainObject(value) && typeof value.path === 'string',
+	// Arrays of one schema are array shortcuts.
+	'anyOf': (value) => Array.isArray(value) && value.length > 1,
+	'oneOf': (value) => Array.isArray(value) && value.length > 1,
+	'allOf': (value) => Array.isArray(value) && value.length > 1
+};
+
+const isShortcut = (schema) => {
+	return !Object.keys(nonShortcutValidators).some((key) => {
+		const value = schema[key];
+		const shaped = nonShortcutValidators[key];
+		if (shaped(value)) return true;
+		// Validators may also be provided with an error message.
+		return !unionValidators.includes(key) && Array.isArray(value) && value.length === 2 && ['string', 'function'].includes(typeof value[1]) && shaped(value[0]);
+	});
+};
+
+// Comes back with the first validator of a schema, which is an asynchronous function.
+export function asynchronousValidator(formalizedSchema) {
+
+	const isAsync = (fn) => typeof fn === 'function' && instanceTypeName(fn) === 'asyncfunction';
+
+	return ['pre', 'post', 'default']
+		.concat(Object.keys(formalizedSchema._plugins || {}))
+		.find((key) => {
+			return [].concat((formalizedSchema._plugins || {})[key] ? formalizedSchema._plugins[key].validator : formalizedSchema[key]).some(isAsync);
+		});
+
+}
 
 const finalize = (formalizedSchema, nonFormalizedSchema) => {
 
@@ -29,8 +106,85 @@ const finalize = (formalizedSchema, nonFormalizedSchema) => {
 
 };
 
+const formalizeDiscriminator = (formalizedSchema, nonFormalizedSchema, options) => {
+
+	if (typeof formalizedSchema.schema !== 'undefined') {
+		throw new SchemaError(nonFormalizedSchema, 'Validators `schema` and `discriminator` cannot be used together.');
+	}
+
+	const { key, schemas } = formalizedSchema.discriminator;
+
+	if (typeof key !== 'string' || key.length === 0) {
+		throw new SchemaError(nonFormalizedSchema, 'Validator `discriminator` must have a `key` of type String.');
+	}
+
+	if (typeof schemas !== 'object' || schemas === null || Object.keys(schemas).length === 0) {
+		throw new SchemaError(nonFormalizedSchema, 'Validator `discriminator` must have `schemas` with at least one schema.');
+	}
+
+	formalizedSchema.discriminator = {
+		key,
+		schemas: Object.fromEntries(Object.keys(schemas).map((value) => {
+			const schema = formalizeAny(schemas[value], options);
+			if (!schema.type || !isSameType('object', typeName(schema.type))) {
+				throw new SchemaError(schemas[value], 'Discriminator schemas must be of type Object.');
+			}
+			return [value, schema];
+		}))
+	};
+
+	return formalizedSchema;
+
+};
+
+const formalizeWhen = (formalizedSchema, nonFormalizedSchema, options) => {
+
+	const { path, is, then, otherwise } = formalizedSchema.when;
+
+	if (typeof path !== 'string' || path.length === 0) {
+		throw new SchemaError(nonFormalizedSchema, 'Validator `when` must have a `path` of type String.');
+	}
+
+	if (typeof then === 'undefined' && typeof otherwise === 'undefined') {
+		throw new SchemaError(nonFormalizedSchema, 'Validator `when` must have `then` and/or `otherwise`.');
+	}
+
+	[then, otherwise].forEach((schema) => {
+		if (typeof schema !== 'undefined' && instanceTypeName(schema) !== 'object') {
+			throw new SchemaError(nonFormalizedSchema, 'Validator `when` must have `then` and `otherwise` of type Object.');
+		}
+	});
+
+	// The validators of `then` and `otherwise` are merged
+	// into the validators of the schema itself.
+	const base = Object.fromEntries(Object.keys(nonFormalizedSchema)
+		.filter((key) => key !== 'when')
+		.map((key) => [key, nonFormalizedSchema[key]]));
+
+	formalizedSchema.when = {
+		path,
+		then: formalizeAny(Object.assign({}, base, then), options),
+		otherwise: formalizeAny(Object.assign({}, base, otherwise), options)
+	};
+
+	// If `is` is not provided the condition is that data at path is present.
+	if (typeof is !== 'undefined') {
+		formalizedSchema.when.is = formalizeAny(is, options);
+		if (typeof formalizedSchema.when.is.required === 'undefined') {
+			formalizedSchema.when.is = formalizeAny(Object.assign(strip(formalizedSchema.when.is), { required: true }), options);
+		}
+	}
+
+	return formalizedSchema;
+
+};
+
 const formalizeObject = (formalizedSchema, nonFormalizedSchema, options) => {
 
+	if (typeof formalizedSchema.discriminator !== 'undefined') {
+		return formalizeDiscriminator(formalizedSchema, nonFormalizedSchema, options);
+	}
+
 	formalizedSchema.schema = formalizedSchema.schema || {};
 
 	if (instanceTypeName(formalizedSchema.schema) !== 'object') {
@@ -77,6 +231,64 @@ const formalizeArray = (formalizedSchema, options) => {
 
 };
 
+// Validators common to all types.
+const commonValidators = {
+	'type': ['function', 'string'],
+	'$ref': ['string'],
+	'equal': 'any',
+	'required': ['boolean', 'string'],
+	'default': 'any',
+	'null': ['string'],
+	'errors': ['object'],
+	'pre': ['function', 'array', 'asyncfunction'],
+	'post': ['function', 'array', 'asyncfunction'],
+	'priority': 'number',
+	'anyOf': ['array'],
+	'oneOf': ['array'],
+	'allOf': ['array'],
+	'when': ['object'],
+	'enum': ['array', 'object', 'map', 'reference'],
+	'ignoreCase': ['boolean'],
+	'mapEnum': ['boolean'],
+	'_plugins': 'any'
+};
+
+// Validators of types - including the validators common to all types.
+const typeValidators = {
+	'object': Object.assign({}, commonValidators, {
+		'schema': 'any',
+		'unknownKeys': [ 'string' ],
+		'discriminator': [ 'object' ]
+	}),
+	'array': Object.assign({}, commonValidators, {
+		'schema': 'any',
+		'len': [ 'string', 'number', 'reference', testFormalizedRange ],
+		'unique': [ 'boolean' ],
+		'autoWrap': [ 'boolean' ]
+	}),
+	'string': Object.assign({}, commonValidators, {
+		'len': [ 'string', 'number', 'reference', testFormalizedRange ],
+		'lenUnit': [ 'string' ],
+		'match': [ 'regexp', 'array' ],
+		'notMatch': [ 'regexp', 'array' ],
+		'trim': [ 'boolean' ],
+		'normalize': [ 'string' ],
+		'collapse': [ 'boolean' ],
+		'case': [ 'string' ],
+		'format': [ 'string' ]
+	}),
+	'number': Object.assign({}, commonValidators, {
+		'range': [ 'string', 'number', 'reference', testFormalizedRange ],
+		'float': [ 'string' ]
+	}),
+	'file': Object.assign({}, commonValidators, {
+		'maxSize': [ 'number' ],
+		'mimeTypes': [ 'array' ],
+		'extensions': [ 'array' ],
+		'count': [ 'string', 'number', 'reference', testFormalizedRange ]
+	})
+};
+
 const formalizeAny = (schema, options = {}) => {
 
 	// If schema is already formalized we just call back.
@@ -90,7 +302,7 @@ const formalizeAny = (schema, options = {}) => {
 
 	}
 
-	if (!schema.type && !schema.post && !schema.pre && !schema.equal) {
+	if (isShortcut(schema)) {
 		if ('object' == instanceTypeName(schema)) {
 			return formalizeAny({ type: Object, schema: schema }, options);
 		}
@@ -101,7 +313,7 @@ const formalizeAny = (schema, options = {}) => {
 		if ((typeof schema === 'string' && schema.length) || (typeof schema === 'function' && typeName(schema) !== undefined)) {
 			return formalizeAny({ type: schema }, options);
 		}
-		throw new SchemaError(schema, 'Schemas must have at least on validator of `type`, `post`/`pre` and/or `equal`.');
+		throw new SchemaError(schema, 'Schemas must have at least on validator of `type`, `$ref`, `post`/`pre`, `equal`, `when` and/or `anyOf`/`oneOf`/`allOf`.');
 	}
 
 	const convenienceNames = {
@@ -114,48 +326,26 @@ const formalizeAny = (schema, options = {}) => {
 		formalizedSchema[convenienceNames[key] || key] = schema[key];
 	}
 
-	// Validators common to all types.
-	let validators = {
-		'type': ['function', 'string'],
-		'equal': 'any',
-		'required': ['boolean', 'string'],
-		'default': 'any',
-		'null': ['string'],
-		'errors': ['object'],
-		'pre': ['function', 'array', 'asyncfunction'],
-		'post': ['function', 'array', 'asyncfunction'],
-		'priority': 'number',
-		'_plugins': 'any'
-	};
+	let validators = commonValidators;
+
+	// An array as type is only the error shortcut of a single type - multiple types
+	// (like `[String, Number]`) are validated using `anyOf`.
+	if (Array.isArray(formalizedSchema.type) && !isTypeShortcut(formalizedSchema.type)) {
+		throw new SchemaError(
+			schema,
+			'Validator `type` must be a type or a type and an error message - use `anyOf` to validate data of multiple types.'
+		);
+	}
 
 	// Validators specific to type.
 	const type = Array.isArray(formalizedSchema.type) ? formalizedSchema.type[0] : formalizedSchema.type;
-	if (type !== undefined) {
-		if (isSameType('object', typeName(type))) validators = merge(validators, {
-			'schema': 'any',
-			'unknownKeys': [ 'string' ]
-		});
-		if (isSameType('array', typeName(type))) validators = merge(validators, {
-			'schema': 'any',
-			'len': [ 'string', 'number', testFormalizedRange ],
-			'unique': [ 'boolean' ],
-			'autoWrap': [ 'boolean' ]
-		});
-		if (isSameType('string', typeName(type))) validators = merge(validators, {
-			'len': [ 'string', 'number' ],
-			'match': [ 'regexp' ],
-			'trim': [ 'boolean' ],
-			'enum': [ 'array', 'object' ]
-		});
-		if (isSameType('number', typeName(type))) validators = merge(validators, {
-			'range': [ 'string', 'number', testFormalizedRange ],
-			'float': [ 'string' ]
-		});
+	if (type !== undefined && Object.prototype.hasOwnProperty.call(typeValidators, typeName(type).toLowerCase())) {
+		validators = typeValidators[typeName(type).toLowerCase()];
 	}
 
 	// If post validator is provided allow for options.
 	if (formalizedSchema.pre !== undefined || formalizedSchema.post !== undefined) {
-		validators = merge(validators, { 'options': 'any' });
+		validators = Object.assign({}, validators, { 'options': 'any' });
 	}
 
 	// Copy validators to formalizedSchema - checking
@@ -200,11 +390,15 @@ const formalizeAny = (schema, options = {}) => {
 
 		let test = formalizedSchema[key];
 
-		// Test for - and transform - errors in validator.
+		// Test for - and transform - errors in validator. Enums and patterns are
+		// arrays themselves, so they must have a message as error. Branches of
+		// unions are schemas - so errors of unions are only set using `errors`.
 		if (Array.isArray(test) &&
 
 			test.length === 2 &&
-			validator.includes(instanceTypeName(test[0]))) {
+			!unionValidators.includes(key) &&
+			validator.includes(instanceTypeName(test[0])) &&
+			(!['enum', 'match', 'notMatch'].includes(key) || ['string', 'function'].includes(typeof test[1]))) {
 
 			formalizedSchema.errors = formalizedSchema.errors || {};
 			formalizedSchema.errors[key] = test[1];
@@ -245,6 +439,14 @@ const formalizeAny = (schema, options = {}) => {
 		throw new SchemaError(formalizedSchema, `Cannot validate schema of type ${formalizedSchema.type}.`);
 	}
 
+	// References cannot be used with types.
+	if (typeof formalizedSchema.type !== 'undefined' && typeof formalizedSchema.$ref !== 'undefined') {
+		throw new SchemaError(
+			schema,
+			'Validators `type` and `$ref` cannot be used together.'
+		);
+	}
+
 	// Convert pre function to array.
 	if (typeof formalizedSchema.pre === 'function') {
 		formalizedSchema.pre = [formalizedSchema.pre];
@@ -255,6 +457,20 @@ const formalizeAny = (schema, options = {}) => {
 		formalizedSchema.post = [formalizedSchema.post];
 	}
 
+	// Asynchronous functions cannot be validated synchronously.
+	if (options.synchronous === true) {
+
+		const key = asynchronousValidator(formalizedSchema);
+
+		if (typeof key !== 'undefined') {
+			throw new SchemaError(
+				schema,
+				`Validator \`${key}\` is asynchronous and cannot be validated synchronously.`
+			);
+		}
+
+	}
+
 	// Throw error if required is invalid value
 	if (typeof formalizedSchema.required === 'string' && formalizedSchema.required !== 'implicit') {
 		throw new SchemaError(
@@ -290,36 +506,99 @@ const formalizeAny = (schema, options = {}) => {
 		);
 	}
 
-	// Check len
-	if (typeof formalizedSchema.len !== 'undefined') {
-		formalizedSchema.len = _formalizeRange(formalizedSchema.len, {
-			allowNegative: false,
-			allowNonIntegers: false
-		});
+	// Check string case
+	if (typeof formalizedSchema.case === 'string' && !casings.includes(formalizedSchema.case)) {
+		throw new SchemaError(
+			schema,
+			`Validator \`case\` must have value ${casings.map((casing) => `\`'${casing}'\``).join(', ')}.`
+		);
 	}
 
-	// Check range
-	if (typeof formalizedSchema.range !== 'undefined') {
-		formalizedSchema.range = _formalizeRange(formalizedSchema.range, {
-			allowNegative: true,
-			allowNonIntegers: true
+	// Check lists of patterns - a single pattern is left as is.
+	['match', 'notMatch']
+		.filter((key) => Array.isArray(formalizedSchema[key]))
+		.forEach((key) => {
+			try {
+				if (formalizedSchema[key].length < 1) throw new Error();
+				formalizedSchema[key] = patterns(formalizedSchema[key]);
+			} catch {
+				throw new SchemaError(
+					schema,
+					`Validator \`${key}\` must be a RegExp or an array of RegExp.`
+				);
+			}
 		});
+
+	// Check string length unit
+	if (typeof formalizedSchema.lenUnit === 'string' && !units.includes(formalizedSchema.lenUnit)) {
+		throw new SchemaError(
+			schema,
+			`Validator \`lenUnit\` must have value ${units.map((unit) => `\`'${unit}'\``).join(', ')}.`
+		);
+	}
+
+	// Check string normalization
+	if (typeof formalizedSchema.normalize === 'string' && !normalizations.includes(formalizedSchema.normalize)) {
+		throw new SchemaError(
+			schema,
+			`Validator \`normalize\` must have value ${normalizations.map((normalization) => `\`'${normalization}'\``).join(', ')}.`
+		);
+	}
+
+	// Check len - references are formalized when validated.
+	if (typeof formalizedSchema.len !== 'undefined' && !(formalizedSchema.len instanceof Reference)) {
+		formalizedSchema.len = _formalizeRange(formalizedSchema.len, rangeOptions.len);
+	}
+
+	// Check range - references are formalized when validated.
+	if (typeof formalizedSchema.range !== 'undefined' && !(formalizedSchema.range instanceof Reference)) {
+		formalizedSchema.range = _formalizeRange(formalizedSchema.range, rangeOptions.range);
+	}
+
+	// Check format is defined.
+	if (typeof formalizedSchema.format !== 'undefined') {
+		try {
+			resolveFormat(formalizedSchema.format);
+		} catch (error) {
+			throw new SchemaError(schema, error.message);
+		}
+	}
+
+	// Check count - references are formalized when validated.
+	if (typeof formalizedSchema.count !== 'undefined' && !(formalizedSchema.count instanceof Reference)) {
+		formalizedSchema.count = _formalizeRange(formalizedSchema.count, rangeOptions.count);
+	}
+
+	// Check file validators
+	if (typeof formalizedSchema.maxSize !== 'undefined' && !(formalizedSchema.maxSize >= 0)) {
+		throw new SchemaError(
+			schema,
+			'Validator `maxSize` must be a positive number.'
+		);
 	}
 
-	// Check string enums
-	if (typeof formalizedSchema.enum !== 'undefined') {
+	['mimeTypes', 'extensions']
+		.filter((key) => typeof formalizedSchema[key] !== 'undefined')
+		.forEach((key) => {
+			if (formalizedSchema[key].length < 1 || formalizedSchema[key].some((value) => typeof value !== 'string')) {
+				throw new SchemaError(
+					schema,
+					`Validator \`${key}\` must be an array of strings.`
+				);
+			}
+		});
+
+	// Check enums - string enums are formalized into an object mapping values to values.
+	if (typeof formalizedSchema.enum !== 'undefined' && !(formalizedSchema.enum instanceof Reference)) {
 
-		let wasArray = false;
+		const enumType = type !== undefined ? typeName(type).toLowerCase() : undefined;
 
-		if (Array.isArray(formalizedSchema.enum)) {
-			wasArray = true;
-			for (let value of formalizedSchema.enum) {
-				if (typeof value !== 'string') {
-					throw new SchemaError(
-						schema,
-						wasArray ? 'Validator `enum` must be an array of strings.' : 'Validator `enum` must be an object with string keys.'
-					);
-				}
+		if (Array.isArray(formalizedSchema.enum) && enumType === 'string') {
+			if (formalizedSchema.enum.some((value) => typeof value !== 'string')) {
+				throw new SchemaError(
+					schema,
+					'Validator `enum` must be an array of strings.'
+				);
 			}
 			formalizedSchema.enum = Object.fromEntries(formalizedSchema.enum.map((value) => [value, value]));
 		}
@@ -327,11 +606,11 @@ const formalizeAny = (schema, options = {}) => {
 		if (typeof formalizedSchema.enum !== 'object' || formalizedSchema.enum === null) {
 			throw new SchemaError(
 				schema,
-				'Validator `enum` must be an array or object.'
+				'Validator `enum` must be an array, object or Map.'
 			);
 		}
 
-		const keys = Object.keys(formalizedSchema.enum);
+		const keys = enumKeys(formalizedSchema.enum);
 
 		if (keys.length < 1) {
 			throw new SchemaError(
@@ -340,11 +619,37 @@ const formalizeAny = (schema, options = {}) => {
 			);
 		}
 
+		// Values of primitive types must be of the type of the schema.
+		if (['string', 'number', 'boolean'].includes(enumType) && keys.some((key) => typeof key !== enumType)) {
+			throw new SchemaError(
+				schema,
+				`Validator \`enum\` must have values of type ${enumType}.`
+			);
+		}
+
 	}
 
+	// Formalize union branches
+	unionValidators
+		.filter((key) => typeof formalizedSchema[key] !== 'undefined')
+		.forEach((key) => {
+			if (formalizedSchema[key].length < 1) {
+				throw new SchemaError(
+					schema,
+					`Validator \`${key}\` must have at least one schema.`
+				);
+			}
+			formalizedSchema[key] = formalizedSchema[key].map((branch) => formalizeAny(branch, options));
+		});
+
 	// Add priority if not added.
 	formalizedSchema.priority = formalizedSchema.priority || 10;
 
+	// Formalize conditions.
+	if (typeof formalizedSchema.when !== 'undefined') {
+		formalizedSchema = formalizeWhen(formalizedSchema, schema, options);
+	}
+
 	// Finalize objects and arrays if necessary.
 	if (formalizedSchema.type) {
 		if (isSameType('object', typeName(formalizedSchema.type))) {
@@ -0,0 +1,183 @@
+//
+// formats.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import SchemaError from './errors/schema.js';
+
+const isIPv4 = (value) => {
+	return /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value);
+};
+
+const isIPv6 = (value) => {
+
+	// An IPv4 address is allowed as the last 32 bits - it is replaced by two groups.
+	const ipv4 = value.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+
+	if (ipv4) {
+		if (!isIPv4(ipv4[1])) return false;
+		value = `${value.substring(0, value.length - ipv4[1].length)}0:0`;
+	}
+
+	const parts = value.split('::');
+
+	if (parts.length > 2) return false;
+
+	const groups = parts.map((part) => part.length ? part.split(':') : []);
+
+	if (groups.some((groups) => groups.some((group) => !/^[\da-f]{1,4}$/i.test(group)))) return false;
+
+	const count = groups.reduce((count, groups) => count + groups.length, 0);
+
+	// Addresses with `::` are compressed and have fewer groups.
+	return parts.length === 1 ? count === 8 : count < 8;
+
+};
+
+const isDate = (value) => {
+
+	const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+	if (!match) return false;
+
+	const [year, month, day] = match.slice(1).map(Number);
+	const days = [31, (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+	return month >= 1 && month <= 12 && day >= 1 && day <= days[month - 1];
+
+};
+
+const isTime = (value) => {
+
+	const match = value.match(/^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:z|[+-](\d{2}):(\d{2}))$/i);
+
+	if (!match) return false;
+
+	const [hour, minute, second, offsetHour, offsetMinute] = match.slice(1).map((value) => Number(value || 0));
+
+	// Seconds of 60 are allowed because of leap seconds.
+	return hour <= 23 && minute <= 59 && second <= 60 && offsetHour <= 23 && offsetMinute <= 59;
+
+};
+
+const isUri = (value) => {
+	if (!/^[a-z][a-z\d+.-]*:\S+$/i.test(value)) return false;
+	try {
+		new URL(value);
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+const formats = {
+	'email': {
+		test: /^[a-z\d.!#$%&'*+/=?^_`{|}~-]+@[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)+$/i,
+		message: 'Is not a valid email address.'
+	},
+	'uuid': {
+		test: /^[\da-f]{8}-[\da-f]{4}-[1-8][\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}$/i,
+		message: 'Is not a valid UUID.'
+	},
+	'uri': {
+		test: isUri,
+		message: 'Is not a valid URI.'
+	},
+	'url': {
+		test: (value) => isUri(value) && /^https?:\/\/[^/?#]/i.test(value),
+		message: 'Is not a valid URL.'
+	},
+	'hostname': {
+		test: (value) => value.length <= 253 && /^[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)*$/i.test(value),
+		message: 'Is not a valid hostname.'
+	},
+	'ipv4': {
+		test: isIPv4,
+		message: 'Is not a valid IPv4 address.'
+	},
+	'ipv6': {
+		test: isIPv6,
+		message: 'Is not a valid IPv6 address.'
+	},
+	'cidr': {
+		test: (value) => {
+			const [address, prefix, ...rest] = value.split('/');
+			if (rest.length || !/^(?:0|[1-9]\d{0,2})$/.test(prefix || '')) return false;
+			if (isIPv4(address)) return Number(prefix) <= 32;
+			return isIPv6(address) && Number(prefix) <= 128;
+		},
+		message: 'Is not a valid CIDR.'
+	},
+	'date': {
+		test: isDate,
+		message: 'Is not a valid date.'
+	},
+	'date-time': {
+		test: (value) => {
+			const [date, time, ...rest] = value.split(/t/i);
+			return rest.length === 0 && isDate(date) && typeof time !== 'undefined' && isTime(time);
+		},
+		message: 'Is not a valid date and time.'
+	},
+	'duration': {
+		test: (value) => /^P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+W)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:[.,]\d+)?S)?)?$/.test(value),
+		message: 'Is not a valid duration.'
+	},
+	'semver': {
+		test: /^(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)(?:-(?:(?:0|[1-9]\d*|\d*[a-z-][\da-z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-z-][\da-z-]*))*))?(?:\+[\da-z-]+(?:\.[\da-z-]+)*)?$/i,
+		message: 'Is not a valid semantic version.'
+	},
+	'slug': {
+		test: /^[a-z\d]+(?:-[a-z\d]+)*$/,
+		message: 'Is not a valid slug.'
+	},
+	'hex-color': {
+		test: /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i,
+		message: 'Is not a valid hex color.'
+	}
+};
+
+// Formats are tested using either a regular expression or a function returning a boolean.
+export function define(name, test, { message, conflict = 'fail' } = {}) {
+
+	if (typeof name !== 'string' || name.length === 0) {
+		throw new Error('Name must be a string.');
+	}
+
+	if (!(test instanceof RegExp) && typeof test !== 'function') {
+		throw new Error('Format must be a regular expression or a function.');
+	}
+
+	if (Object.prototype.hasOwnProperty.call(formats, name)) {
+		switch (conflict) {
+		case 'replace':
+			break;
+		case 'ignore':
+			return;
+		default:
+			throw new Error(`Format with name "${name}" already exists.`);
+		}
+	}
+
+	formats[name] = { test, message: message || `Is not a valid ${name}.` };
+
+}
+
+export function resolve(name) {
+
+	if (!Object.prototype.hasOwnProperty.call(formats, name)) {
+		throw new SchemaError({ format: name }, `Format with name "${name}" is not defined.`);
+	}
+
+	return formats[name];
+
+}
+
+export function test(name, value) {
+	const format = resolve(name);
+	if (format.test instanceof RegExp) return format.test.test(value);
+	return format.test(value) === true;
+}
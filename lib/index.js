@@ -6,13 +6,24 @@
 // See license in LICENSE
 //
 
-import validate from './validate.js';
+import validate, { compile } from './validate.js';
 import formalize from './formalize.js';
 import keyPaths from './key-paths.js';
 import merge from './merge.js';
 import { use } from './plugins.js';
+import { define } from './registry.js';
+import { define as defineFormat } from './formats.js';
+import { ref } from './references.js';
+import { toJsonSchema, fromJsonSchema } from './json-schema.js';
+import { openApi } from './openapi.js';
+import { toTypeScript } from './typescript.js';
+import { parseBody, validateRequest, validateResponse } from './web.js';
 
 const plugins = { use };
+const registry = { define };
+const formats = { define: defineFormat };
+const jsonSchema = { to: toJsonSchema, from: fromJsonSchema };
+const web = { parse: parseBody, request: validateRequest, response: validateResponse };
 
 export default validate;
-export { formalize, keyPaths, merge, plugins };
+export { formalize, compile, keyPaths, merge, plugins, registry, formats, ref, jsonSchema, openApi, toTypeScript, web };
@@ -0,0 +1,563 @@
+//
+// json-schema.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import formalize from './formalize.js';
+import SchemaError from './errors/schema.js';
+import { resolve } from './registry.js';
+import { Reference } from './references.js';
+import { resolve as resolveFormat } from './formats.js';
+import { typeName, enumKeys, patterns } from './utils.js';
+
+const dialect = 'https://json-schema.org/draft/2020-12/schema';
+
+const rangeKeywords = {
+	len: {
+		string: ['minLength', 'maxLength'],
+		array: ['minItems', 'maxItems']
+	},
+	range: {
+		number: ['minimum', 'maximum']
+	},
+	count: {
+		file: ['minItems', 'maxItems']
+	}
+};
+
+// Validators that cannot be expressed in JSON Schema are left out - which
+// makes the exported schema more permissive - unless told to fail.
+const unsupported = (schema, validator, options) => {
+	if (options.unsupported === 'fail') {
+		throw new SchemaError(schema._nonFormalizedSchema, `Validator \`${validator}\` cannot be exported to JSON Schema.`);
+	}
+};
+
+// Adds keywords to result - keywords already in use are added using `allOf`.
+const assign = (result, keywords) => {
+	Object.keys(keywords).forEach((key) => {
+		if (typeof result[key] === 'undefined') result[key] = keywords[key];
+		else result.allOf = (result.allOf || []).concat([{ [key]: keywords[key] }]);
+	});
+	return result;
+};
+
+const isRequired = (schema, options) => {
+	if (typeof schema.default !== 'undefined') return false;
+	if (schema.required === 'implicit') return true;
+	if (typeof schema.required === 'undefined') return (options.defaults || {}).required === true;
+	return schema.required === true;
+};
+
+// Lower boundaries are left out if they cannot be exported exactly - as they would make the schema stricter.
+const exportRanges = (name, schema, type, options, exactLower = true) => {
+
+	const ranges = schema[name] || (options.defaults || {})[name];
+
+	if (typeof ranges === 'undefined') return {};
+
+	if (ranges instanceof Reference) {
+		unsupported(schema, name, options);
+		return {};
+	}
+
+	const [minimum, maximum] = rangeKeywords[name][type];
+
+	const boundary = (keywords, keyword, value, missing) => {
+		if (value instanceof Reference) unsupported(schema, name, options);
+		else if (value !== missing) keywords[keyword] = value;
+		return keywords;
+	};
+
+	const keywords = ranges.map(({ lower, upper }) => {
+		if (!exactLower && !(lower instanceof Reference) && lower > 0) {
+			unsupported(schema, name, options);
+			lower = -Infinity;
+		}
+		return boundary(boundary({}, minimum, lower, -Infinity), maximum, upper, Infinity);
+	});
+
+	if (keywords.length === 1) return keywords[0];
+
+	return { anyOf: keywords };
+
+};
+
+const exportDefinition = (name, options, context) => {
+
+	if (typeof context.definitions[name] !== 'undefined') return;
+
+	// Add before exporting in order to support recursive schemas.
+	context.definitions[name] = {};
+	context.definitions[name] = exportAny(resolve(name), options, context);
+
+};
+
+const exportObject = (schema, options, context) => {
+
+	const result = { type: 'object' };
+
+	if (typeof schema.discriminator !== 'undefined') {
+
+		const { key, schemas } = schema.discriminator;
+
+		result.oneOf = Object.keys(schemas).map((value) => {
+			const branch = exportAny(schemas[value], options, context);
+			branch.properties = Object.assign({}, branch.properties, { [key]: { const: value } });
+			branch.required = [key].concat((branch.required || []).filter((required) => required !== key));
+			return branch;
+		});
+
+		return result;
+
+	}
+
+	const keys = Object.keys(schema.schema || {});
+
+	if (keys.length) {
+		result.properties = Object.fromEntries(keys.map((key) => [key, exportAny(schema.schema[key], options, context)]));
+	}
+
+	const required = keys.filter((key) => isRequired(schema.schema[key], options));
+
+	if (required.length) result.required = required;
+
+	switch (schema.unknownKeys || (options.defaults || {}).unknownKeys) {
+	case 'allow':
+	case 'remove':
+		break;
+	default:
+		result.additionalProperties = false;
+		break;
+	}
+
+	return result;
+
+};
+
+const exportArray = (schema, options, context) => {
+
+	const result = { type: 'array' };
+
+	if (typeof schema.schema !== 'undefined') {
+		result.items = exportAny(schema.schema, options, context);
+	}
+
+	assign(result, exportRanges('len', schema, 'array', options));
+
+	if (schema.unique || (options.defaults || {}).unique) result.uniqueItems = true;
+
+	return result;
+
+};
+
+const exportString = (schema, options) => {
+
+	const result = { type: 'string' };
+
+	// JSON Schema measures strings in code points. Strings never have more code points than code
+	// units, so only the maximum length in code units is exported - other units are left out.
+	const lenUnit = schema.lenUnit || (options.defaults || {}).lenUnit || 'code-units';
+
+	if (lenUnit === 'code-points') assign(result, exportRanges('len', schema, 'string', options));
+	else if (lenUnit === 'code-units') assign(result, exportRanges('len', schema, 'string', options, false));
+	else if (typeof (schema.len || (options.defaults || {}).len) !== 'undefined') unsupported(schema, 'lenUnit', options);
+
+	// Flags cannot be expressed in JSON Schema - so patterns with flags are left out.
+	const exportable = (validator, value) => patterns(value).filter(({ pattern }) => {
+		if (pattern.flags.replace('u', '').length === 0) return true;
+		unsupported(schema, validator, options);
+		return false;
+	});
+
+	// Multiple patterns must all match - and none of the negated patterns may.
+	const match = schema.match || (options.defaults || {}).match;
+
+	if (match) exportable('match', match).forEach(({ pattern }) => assign(result, { pattern: pattern.source }));
+
+	const notMatch = schema.notMatch || (options.defaults || {}).notMatch;
+
+	if (notMatch) {
+		const negated = exportable('notMatch', notMatch).map(({ pattern }) => ({ pattern: pattern.source }));
+		if (negated.length) assign(result, { not: negated.length === 1 ? negated[0] : { anyOf: negated } });
+	}
+
+	const format = schema.format || (options.defaults || {}).format;
+
+	if (format) result.format = format;
+
+	return result;
+
+};
+
+const exportNumber = (schema, options) => {
+	return assign(
+		{ type: (schema.float || (options.defaults || {}).float) === 'deny' ? 'integer' : 'number' },
+		exportRanges('range', schema, 'number', options));
+};
+
+// Files are exported as binary strings - as used by multipart bodies in OpenAPI.
+const exportFile = (schema, options) => {
+
+	['maxSize', 'mimeTypes', 'extensions']
+		.filter((validator) => typeof (schema[validator] || (options.defaults || {})[validator]) !== 'undefined')
+		.forEach((validator) => unsupported(schema, validator, options));
+
+	const result = { type: 'string', format: 'binary' };
+
+	if (typeof schema.count === 'undefined') return result;
+
+	return assign({ type: 'array', items: result }, exportRanges('count', schema, 'file', options));
+
+};
+
+const exportType = (schema, options, context) => {
+
+	if (typeof schema.type === 'undefined') return {};
+
+	switch (typeName(schema.type)) {
+	case 'object':
+		return exportObject(schema, options, context);
+	case 'array':
+		return exportArray(schema, options, context);
+	case 'string':
+		return exportString(schema, options);
+	case 'number':
+		return exportNumber(schema, options);
+	case 'boolean':
+		return { type: 'boolean' };
+	case 'date':
+		return { type: 'string', format: 'date-time' };
+	case 'file':
+		return exportFile(schema, options);
+	default:
+		unsupported(schema, 'type', options);
+		return {};
+	}
+
+};
+
+const exportAny = (schema, options, context) => {
+
+	// Data is valid if it is valid in either of the branches of the condition.
+	if (typeof schema.when !== 'undefined') {
+		return {
+			anyOf: [schema.when.then, schema.when.otherwise]
+				.map((schema) => exportAny(schema, options, context))
+		};
+	}
+
+	let result = exportType(schema, options, context);
+
+	if (typeof schema.$ref !== 'undefined') {
+		exportDefinition(schema.$ref, options, context);
+		result.$ref = `${context.definitionsPath}${schema.$ref}`;
+	}
+
+	if (schema.equal instanceof Reference) unsupported(schema, 'equal', options);
+	else if (typeof schema.equal !== 'undefined') result.const = schema.equal;
+
+	// Enums are exported by the values accepted as input.
+	if (schema.enum instanceof Reference) unsupported(schema, 'enum', options);
+	else if (typeof schema.enum !== 'undefined') result.enum = enumKeys(schema.enum);
+
+	if (schema.ignoreCase) unsupported(schema, 'ignoreCase', options);
+
+	['anyOf', 'oneOf', 'allOf']
+		.filter((key) => typeof schema[key] !== 'undefined')
+		.forEach((key) => {
+			assign(result, { [key]: schema[key].map((schema) => exportAny(schema, options, context)) });
+		});
+
+	['pre', 'post']
+		.concat(Object.keys(schema._plugins || {}))
+		.filter((key) => typeof schema[key] !== 'undefined')
+		.forEach((key) => unsupported(schema, key, options));
+
+	// Default functions are left out, as they are only used when there is no data.
+	if (typeof schema.default !== 'undefined' && typeof schema.default !== 'function') {
+		result.default = schema.default;
+	}
+
+	const nul = schema.null || (options.defaults || {}).null || 'deny';
+
+	if (nul === 'allow' || (nul === 'undefine' && schema.required !== true)) {
+		if (typeof result.type === 'string') {
+			result.type = [result.type, 'null'];
+			if (Array.isArray(result.enum)) result.enum = result.enum.concat([null]);
+		} else if (Object.keys(result).length) {
+			result = { anyOf: [result, { type: 'null' }] };
+		}
+	}
+
+	return result;
+
+};
+
+// Creates an exporter for exporting multiple schemas sharing the same definitions.
+export function createExporter(options = {}, definitionsPath = '#/$defs/') {
+
+	const context = { definitions: {}, definitionsPath };
+
+	return {
+		export: (schema) => exportAny(formalize(schema), options, context),
+		definitions: context.definitions
+	};
+
+}
+
+export function toJsonSchema(schema, options = {}) {
+
+	const exporter = createExporter(options);
+
+	const result = Object.assign({ $schema: dialect }, exporter.export(schema));
+
+	if (Object.keys(exporter.definitions).length) result.$defs = exporter.definitions;
+
+	return result;
+
+}
+
+// Keywords that do not affect validation.
+const annotations = ['$schema', '$id', '$comment', '$defs', 'definitions', 'title', 'description', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+const keywords = {
+	common: ['type', 'nullable', 'default', 'enum', 'const', 'anyOf', 'oneOf', 'allOf'],
+	object: ['properties', 'required', 'additionalProperties'],
+	array: ['items', 'minItems', 'maxItems', 'uniqueItems'],
+	string: ['minLength', 'maxLength', 'pattern', 'format'],
+	number: ['minimum', 'maximum'],
+	integer: ['minimum', 'maximum'],
+	boolean: []
+};
+
+const valueType = (value) => {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+};
+
+const isOfType = (value, type) => valueType(value) === (type === 'integer' ? 'number' : type);
+
+// Types are inferred from keywords or values if not provided.
+const inferTypes = (document) => {
+
+	const values = [].concat(document.enum || [], Object.prototype.hasOwnProperty.call(document, 'const') ? [document.const] : []);
+
+	if (values.length) {
+		return values
+			.map(valueType)
+			.filter((type, idx, types) => types.indexOf(type) === idx);
+	}
+
+	return Object.keys(keywords)
+		.filter((type) => type !== 'common' && type !== 'integer')
+		.filter((type) => keywords[type].some((keyword) => typeof document[keyword] !== 'undefined'))
+		.slice(0, 1);
+
+};
+
+const importRange = (document, minimum, maximum) => {
+	if (typeof document[minimum] === 'undefined' && typeof document[maximum] === 'undefined') return;
+	return [{
+		lower: typeof document[minimum] !== 'undefined' ? document[minimum] : -Infinity,
+		upper: typeof document[maximum] !== 'undefined' ? document[maximum] : Infinity
+	}];
+};
+
+const importObject = (document, schema) => {
+
+	const properties = document.properties || {};
+	const required = document.required || [];
+
+	required
+		.filter((key) => typeof properties[key] === 'undefined')
+		.forEach((key) => {
+			throw new SchemaError(document, `Required key \`${key}\` is not in properties.`);
+		});
+
+	schema.schema = Object.fromEntries(Object.keys(properties).map((key) => {
+		return [key, Object.assign(importAny(properties[key]), { required: required.includes(key) })];
+	}));
+
+	const additionalProperties = typeof document.additionalProperties !== 'undefined' ? document.additionalProperties : true;
+
+	if (typeof additionalProperties === 'object' && additionalProperties !== null && Object.keys(additionalProperties).length === 0) {
+		schema.unknownKeys = 'allow';
+	} else if (typeof additionalProperties === 'boolean') {
+		schema.unknownKeys = additionalProperties ? 'allow' : 'deny';
+	} else {
+		throw new SchemaError(document, 'Keyword `additionalProperties` is only supported as a boolean.');
+	}
+
+};
+
+const importArray = (document, schema) => {
+
+	if (typeof document.items !== 'undefined') {
+		if (typeof document.items !== 'object' || document.items === null || Array.isArray(document.items)) {
+			throw new SchemaError(document, 'Keyword `items` is only supported as a schema.');
+		}
+		schema.schema = importAny(document.items);
+	}
+
+	const len = importRange(document, 'minItems', 'maxItems');
+
+	if (len) schema.len = len;
+	if (document.uniqueItems === true) schema.unique = true;
+
+};
+
+const importString = (document, schema) => {
+
+	if (document.format === 'date-time') {
+		schema.type = Date;
+		return;
+	}
+
+	if (typeof document.format !== 'undefined') {
+		try {
+			resolveFormat(document.format);
+		} catch {
+			throw new SchemaError(document, `Format \`${document.format}\` is not supported.`);
+		}
+		schema.format = document.format;
+	}
+
+	const len = importRange(document, 'minLength', 'maxLength');
+
+	// JSON Schema measures strings in code points.
+	if (len) {
+		schema.len = len;
+		schema.lenUnit = 'code-points';
+	}
+
+	if (typeof document.pattern === 'string') schema.match = new RegExp(document.pattern);
+
+};
+
+const importType = (document, type) => {
+
+	const schema = {};
+
+	switch (type) {
+	case 'object':
+		schema.type = Object;
+		importObject(document, schema);
+		break;
+	case 'array':
+		schema.type = Array;
+		importArray(document, schema);
+		break;
+	case 'string':
+		schema.type = String;
+		importString(document, schema);
+		break;
+	case 'number':
+	case 'integer': {
+		schema.type = Number;
+		const range = importRange(document, 'minimum', 'maximum');
+		if (range) schema.range = range;
+		if (type === 'integer') schema.float = 'deny';
+		break;
+	}
+	case 'boolean':
+		schema.type = Boolean;
+		break;
+	case undefined:
+		break;
+	default:
+		throw new SchemaError(document, `Type \`${type}\` is not supported.`);
+	}
+
+	return schema;
+
+};
+
+const importAny = (document) => {
+
+	if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+		throw new SchemaError(document, 'JSON Schema must be an object.');
+	}
+
+	let types = [].concat(typeof document.type !== 'undefined' ? document.type : inferTypes(document));
+
+	const nullable = document.nullable === true || types.includes('null');
+
+	types = types.filter((type) => type !== 'null');
+
+	Object.keys(document)
+		.filter((keyword) => !annotations.includes(keyword))
+		.filter((keyword) => !keywords.common.concat(...types.map((type) => keywords[type] || [])).includes(keyword))
+		.forEach((keyword) => {
+			throw new SchemaError(document, `Keyword \`${keyword}\` is not supported.`);
+		});
+
+	let schema;
+
+	if (types.length > 1) {
+		schema = {
+			anyOf: types
+				.filter((type) => typeof document.enum === 'undefined' || document.enum.some((value) => isOfType(value, type)))
+				.map((type) => {
+
+					const branch = Object.fromEntries(Object.keys(document)
+						.filter((keyword) => !['nullable', 'default'].includes(keyword))
+						.filter((keyword) => annotations.concat(keywords.common, keywords[type] || []).includes(keyword))
+						.map((keyword) => [keyword, document[keyword]]));
+
+					branch.type = type;
+
+					if (typeof branch.enum !== 'undefined') {
+						branch.enum = branch.enum.filter((value) => isOfType(value, type));
+					}
+
+					return importAny(branch);
+
+				})
+		};
+	} else {
+
+		schema = importType(document, types[0]);
+
+		if (Object.prototype.hasOwnProperty.call(document, 'const')) schema.equal = document.const;
+
+		['anyOf', 'oneOf', 'allOf']
+			.filter((keyword) => typeof document[keyword] !== 'undefined')
+			.forEach((keyword) => {
+
+				const branches = document[keyword].map(importAny);
+
+				// Unions of one schema cannot be told apart from array shortcuts, so
+				// the schema is used directly - if it does not collide with the other keywords.
+				if (branches.length === 1 && typeof schema.type === 'undefined' && !Object.keys(branches[0]).some((key) => typeof schema[key] !== 'undefined')) {
+					return Object.assign(schema, branches[0]);
+				}
+
+				schema[keyword] = branches;
+
+			});
+
+		const values = (document.enum || []).filter((value) => value !== null);
+
+		if (values.length) schema.enum = values;
+
+	}
+
+	if (typeof schema.type === 'undefined' && !['anyOf', 'oneOf', 'allOf', 'equal'].some((key) => typeof schema[key] !== 'undefined')) {
+		throw new SchemaError(document, 'JSON Schema must have a type.');
+	}
+
+	if (nullable) schema.null = 'allow';
+	if (typeof document.default !== 'undefined') schema.default = document.default;
+
+	return schema;
+
+};
+
+export function fromJsonSchema(document) {
+	return formalize(importAny(document));
+}
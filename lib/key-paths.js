@@ -7,14 +7,23 @@
 //
 
 import formalize from './formalize.js';
+import { resolve } from './registry.js';
 import { typeName as _typeName } from './utils.js';
 
 const keyPaths = (schema, formalizeOptions) => {
 
 	schema = formalize(schema, formalizeOptions);
 
+	// References are followed - recursion is stopped by `all` when
+	// a reference is met again.
+	let refs = [];
+	while (typeof schema.$ref !== 'undefined') {
+		refs.push(schema.$ref);
+		schema = resolve(schema.$ref);
+	}
+
 	return {
-		all: (types, options, keyPath = [], level = 0) => {
+		all: (types, options, keyPath = [], level = 0, visited = []) => {
 
 			if (typeof types === 'object' && types !== null && !Array.isArray(types)) {
 				options = types;
@@ -37,16 +46,25 @@ const keyPaths = (schema, formalizeOptions) => {
 
 			if (types.length == 0 || types.includes(typeName)) result.push(keyPath.join('.'));
 
-			if (level < options.maxDepth) {
+			visited = visited.concat(refs);
+
+			if (level < options.maxDepth && !refs.some((ref) => visited.indexOf(ref) !== visited.lastIndexOf(ref))) {
 
 				switch (typeName) {
 				case 'object':
-					result = result.concat(...Object.keys(schema.schema).map((key) => {
-						return keyPaths(schema.schema[key]).all(types, options, keyPath.concat([key]), level + 1);
+					// Key paths of discriminated objects are the key paths of all their schemas.
+					if (typeof schema.discriminator !== 'undefined') {
+						result = result.concat(...Object.values(schema.discriminator.schemas).map((schema) => {
+							return keyPaths(schema).all(types, options, keyPath, level, visited);
+						}));
+						break;
+					}
+					result = result.concat(...Object.keys(schema.schema || {}).map((key) => {
+						return keyPaths(schema.schema[key]).all(types, options, keyPath.concat([key]), level + 1, visited);
 					}));
 					break;
 				case 'array':
-					result = result.concat(keyPaths(schema.schema).all(types, options, keyPath, level + 1));
+					result = result.concat(keyPaths(schema.schema).all(types, options, keyPath, level + 1, visited));
 					break;
 				}
 
@@ -69,8 +87,16 @@ const keyPaths = (schema, formalizeOptions) => {
 			const typeName = _typeName(schema.type).toLowerCase();
 
 			switch (typeName) {
-			case 'object':
-				return keyPaths(schema.schema[keyPath[0]]).get(keyPath.slice(1));
+			case 'object': {
+				// Keys of discriminated objects are found in the first schema with the key.
+				const objectSchema = typeof schema.discriminator !== 'undefined'
+					? Object.values(schema.discriminator.schemas).find((schema) => typeof schema.schema[keyPath[0]] !== 'undefined')
+					: schema;
+				if (typeof (objectSchema || {}).schema === 'undefined' || typeof objectSchema.schema[keyPath[0]] === 'undefined') {
+					throw new Error(`Cannot get key '${keyPath[0]}' from type '${typeName}'.`);
+				}
+				return keyPaths(objectSchema.schema[keyPath[0]]).get(keyPath.slice(1));
+			}
 			case 'array':
 				return keyPaths(schema.schema).get(keyPath);
 			default:
@@ -0,0 +1,28 @@
+//
+// length.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+export const units = ['code-units', 'code-points', 'graphemes', 'bytes'];
+
+let segmenter;
+let encoder;
+
+// Measures the length of a string - `code-units` is the UTF-16 length of JavaScript strings.
+export function measure(value, unit = 'code-units') {
+	switch (unit) {
+	case 'code-points':
+		return Array.from(value).length;
+	case 'graphemes':
+		segmenter = segmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+		return Array.from(segmenter.segment(value)).length;
+	case 'bytes':
+		encoder = encoder || new TextEncoder();
+		return encoder.encode(value).length;
+	default:
+		return value.length;
+	}
+}
@@ -9,13 +9,65 @@
 import merge from '@trenskow/merge';
 
 import formalize, { strip } from './formalize.js';
+import SchemaError from './errors/schema.js';
+import { resolve } from './registry.js';
 import { typeName } from './utils.js';
 
-const mergeSchema = (dest, src, formalizeOptions) => {
+// Objects are merged into every schema of a discriminator - and discriminators
+// with the same key have the schemas of the same values merged.
+const mergeDiscriminator = (dest, src, formalizeOptions, refs) => {
+
+	if (dest.discriminator && src.discriminator && dest.discriminator.key !== src.discriminator.key) {
+		throw new SchemaError(src._nonFormalizedSchema, `Cannot merge discriminators of keys \`${dest.discriminator.key}\` and \`${src.discriminator.key}\`.`);
+	}
+
+	const key = (dest.discriminator || src.discriminator).key;
+
+	const branch = (schema, value) => schema.discriminator ? schema.discriminator.schemas[value] : schema;
+
+	const values = Object.keys((dest.discriminator || {}).schemas || {}).concat(Object.keys((src.discriminator || {}).schemas || {})).reduce((result, current) => {
+		if (!result.includes(current)) result.push(current);
+		return result;
+	}, []);
+
+	const schemas = Object.fromEntries(values.map((value) => {
+		const destBranch = branch(dest, value);
+		const srcBranch = branch(src, value);
+		if (typeof destBranch === 'undefined') return [value, srcBranch];
+		if (typeof srcBranch === 'undefined') return [value, destBranch];
+		return [value, mergeSchema(destBranch, srcBranch, formalizeOptions, refs)];
+	}));
+
+	// The keys of objects are now in the schemas of the discriminator.
+	const rest = (schema) => {
+		const result = strip(schema);
+		delete result.schema;
+		delete result.discriminator;
+		return result;
+	};
+
+	return formalize(merge(rest(dest), rest(src), { discriminator: { key, schemas } }), formalizeOptions);
+
+};
+
+const mergeSchema = (dest, src, formalizeOptions, refs = []) => {
 
 	dest = formalize(dest, formalizeOptions);
 	src = formalize(src, formalizeOptions);
 
+	if (typeof dest.$ref !== 'undefined' || typeof src.$ref !== 'undefined') {
+
+		// References to the same schema need no merging, and references already
+		// being merged are skipped - as recursive schemas would never finish.
+		const ref = `${dest.$ref}:${src.$ref}`;
+		if (dest.$ref === src.$ref || refs.includes(ref)) return src;
+		refs = refs.concat([ref]);
+
+		if (typeof dest.$ref !== 'undefined') dest = resolve(dest.$ref);
+		if (typeof src.$ref !== 'undefined') src = resolve(src.$ref);
+
+	}
+
 	const destType = typeName(dest.type).toLowerCase();
 	const srcType = typeName(src.type).toLowerCase();
 
@@ -24,6 +76,8 @@ const mergeSchema = (dest, src, formalizeOptions) => {
 	switch (destType) {
 	case 'object': {
 
+		if (dest.discriminator || src.discriminator) return mergeDiscriminator(dest, src, formalizeOptions, refs);
+
 		const destSchema = dest.schema;
 		const srcSchema = src.schema;
 
@@ -37,7 +91,7 @@ const mergeSchema = (dest, src, formalizeOptions) => {
 		allKeys.forEach((key) => {
 			if (typeof destSchema[key] === 'undefined') schema[key] = srcSchema[key];
 			else if (typeof srcSchema[key] === 'undefined') schema[key] = destSchema[key];
-			else schema[key] = mergeSchema(destSchema[key], srcSchema[key]);
+			else schema[key] = mergeSchema(destSchema[key], srcSchema[key], formalizeOptions, refs);
 		});
 
 		return formalize(merge(strip(dest), strip(src), { schema }), formalizeOptions);
@@ -45,7 +99,7 @@ const mergeSchema = (dest, src, formalizeOptions) => {
 	}
 	case 'array': {
 		return merge(dest, src, {
-			schema: formalize(mergeSchema(strip(dest.schema), strip(src.schema)), formalizeOptions)
+			schema: formalize(mergeSchema(strip(dest.schema), strip(src.schema), formalizeOptions, refs), formalizeOptions)
 		});
 	}
 	default:
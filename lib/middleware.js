@@ -6,58 +6,54 @@
 // See license in LICENSE
 //
 
-import formalize from './formalize.js';
-import isvalid from './validate.js';
+import { compile } from './validate.js';
+import { compileRequest } from './request.js';
+import { STATUS_CODES } from 'node:http';
+import createProblem from './problem.js';
+import ValidationError from './errors/validation.js';
 import merge from '@trenskow/merge';
 
-export function body(schema, options) {
+// Describes what a middleware validates - used when generating OpenAPI documents.
+const describe = (middleware, description) => {
 
-	let formalizedSchema = formalize(schema, options);
+	Object.defineProperty(middleware, '_isvalid', {
+		value: description,
+		enumerable: false,
+		writable: false
+	});
 
-	return function(req, res, next) {
-		return isvalid(req.body, formalizedSchema, merge(options, {
-			req: req,
-			res: res
-		}), ['body'])
-			.then((body) => {
-				req.body = body;
-				next();
-			})
-			.catch((err) => {
-				req.body = undefined;
-				next(err);
-			});
-	};
+	return middleware;
 
-}
+};
 
-export function query(schema, options) {
+export function request(schemas, options) {
 
-	let formalizedSchema = formalize(schema, options);
+	const validate = compileRequest(schemas, options);
 
-	return function(req, res, next) {
-		return isvalid(req.query, formalizedSchema, merge(options, {
+	return describe(function(req, res, next) {
+		return validate(req, {
 			req: req,
 			res: res
-		}), ['query'])
-			.then((query) => {
-				req.query = query;
-				next();
-			})
-			.catch((err) => {
-				req.query = undefined;
-				next(err);
-			});
-	};
+		})
+			.then(() => next(), (err) => next(err));
+	}, validate.descriptions);
+
+}
+
+export function body(schema, options) {
+	return request({ body: schema }, options);
+}
 
+export function query(schema, options) {
+	return request({ query: schema }, options);
 }
 
 export function param(schema, options) {
 
-	let formalizedSchema = formalize(schema, options);
+	const validator = compile(schema, options);
 
-	return function(req, res, next, val, id) {
-		return isvalid(req.params[id], formalizedSchema, merge(options, {
+	return describe(function(req, res, next, val, id) {
+		return validator(req.params[id], merge(options, {
 			req: req,
 			res: res
 		}))
@@ -69,16 +65,16 @@ export function param(schema, options) {
 				req.params[id] = undefined;
 				next(err);
 			});
-	};
+	}, { in: 'path', schema: validator.schema });
 
 }
 
 export function parameter(id, schema, options) {
 
-	let formalizedSchema = formalize(schema, options);
+	const validator = compile(schema, options);
 
-	return function(req, res, next) {
-		return isvalid(req.params[id], formalizedSchema, merge(options, {
+	return describe(function(req, res, next) {
+		return validator(req.params[id], merge(options, {
 			req: req,
 			res: res
 		}), ['params', id])
@@ -90,6 +86,104 @@ export function parameter(id, schema, options) {
 				delete req.params.id;
 				next(err);
 			});
+	}, { in: 'path', name: id, schema: validator.schema });
+
+}
+
+export function headers(schema, options) {
+	return request({ headers: schema }, options);
+}
+
+export function cookies(schema, options) {
+	return request({ cookies: schema }, options);
+}
+
+export function response(schemas, options = {}) {
+
+	const validators = Object.fromEntries(Object.keys(schemas).map((status) => [status, compile(schemas[status], options)]));
+
+	const mode = options.mode || 'throw';
+
+	// Unknown keys are stripped by reusing `unknownKeys: 'remove'`.
+	const defaults = mode === 'strip' ? Object.assign({}, options.defaults, { unknownKeys: 'remove' }) : options.defaults;
+
+	return describe(function(req, res, next) {
+
+		const json = res.json;
+		const send = res.send;
+
+		res.json = function(body) {
+
+			const validator = validators[res.statusCode] || validators.default;
+
+			if (typeof validator === 'undefined') return json.call(res, body);
+
+			// The body is not mutated, as it might be used elsewhere by the app.
+			validator(body, merge(options, {
+				req: req,
+				res: res,
+				mutate: false,
+				defaults: defaults || {}
+			}), ['response'])
+				.then((validated) => {
+					json.call(res, validated);
+				})
+				.catch((err) => {
+					if (mode === 'log' && err instanceof ValidationError) {
+						(options.log || console.warn)(err);
+						return json.call(res, body);
+					}
+					// Responses of the error handler are not validated.
+					res.json = json;
+					res.send = send;
+					next(err);
+				});
+
+			return res;
+
+		};
+
+		// Objects are sent as JSON.
+		res.send = function(body) {
+			if (typeof body === 'object' && body !== null && !Buffer.isBuffer(body)) return res.json(body);
+			return send.call(res, body);
+		};
+
+		next();
+
+	}, Object.keys(validators).map((status) => ({ in: 'response', status, schema: validators[status].schema })));
+
+}
+
+// Renders validation errors as RFC 7807 problem details.
+export function errorHandler(options = {}) {
+
+	const resolve = (option, fallback, ...args) => {
+		if (typeof option === 'function') return option(...args);
+		return typeof option !== 'undefined' ? option : fallback;
+	};
+
+	return function(err, req, res, next) {
+
+		if (!(err instanceof ValidationError) || res.headersSent) return next(err);
+
+		// Invalid responses are errors of the server.
+		const status = resolve(options.status, err.keyPath[0] === 'response' ? 500 : 400, err, req);
+
+		// Details are only exposed on client errors - unless told otherwise.
+		let problem = createProblem(err, {
+			status,
+			title: STATUS_CODES[status],
+			instance: req.originalUrl || req.url,
+			expose: resolve(options.expose, status < 500, err, req)
+		});
+
+		problem = resolve(options.problem, problem, problem, err, req);
+
+		res.statusCode = status;
+		res.setHeader('Content-Type', 'application/problem+json; charset=utf-8');
+		res.end(JSON.stringify(problem));
+
 	};
 
 }
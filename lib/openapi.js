@@ -0,0 +1,167 @@
+//
+// openapi.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { createExporter } from './json-schema.js';
+import keyPaths from './key-paths.js';
+
+// Gets the path a router is mounted at from the regular expression of its layer.
+const mountPath = (layer) => {
+
+	if (layer.regexp.fast_slash) return '';
+
+	const keys = (layer.keys || []).slice();
+
+	const path = layer.regexp.source
+		.replace(/^\^/, '')
+		.replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+		.replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)\??/g, () => `/:${keys.shift().name}`)
+		.replace(/\\\//g, '/');
+
+	// Routers mounted at regular expressions cannot be described.
+	if (/[\\^$()[\]?*+|]/.test(path)) return;
+
+	return path;
+
+};
+
+const walk = (router, prefix = '', params = {}) => {
+
+	params = Object.assign({}, params, router.params);
+
+	return (router.stack || []).reduce((routes, layer) => {
+
+		if (layer.route) {
+
+			if (typeof layer.route.path !== 'string') return routes;
+
+			return routes.concat(Object.keys(layer.route.methods)
+				.filter((method) => method !== '_all')
+				.map((method) => ({
+					method,
+					path: prefix + layer.route.path,
+					handlers: layer.route.stack.map((layer) => layer.handle),
+					params
+				})));
+
+		}
+
+		if (Array.isArray((layer.handle || {}).stack)) {
+			const path = mountPath(layer);
+			if (typeof path === 'undefined') return routes;
+			return routes.concat(walk(layer.handle, prefix + path, params));
+		}
+
+		return routes;
+
+	}, []);
+
+};
+
+const descriptions = (handlers, location) => {
+	return (handlers || [])
+		.reduce((descriptions, handler) => descriptions.concat(handler._isvalid || []), [])
+		.filter((description) => description.in === location);
+};
+
+// Bodies with files are sent as multipart form data.
+const mediaType = (schema) => {
+	return keyPaths(schema).all('file').length ? 'multipart/form-data' : 'application/json';
+};
+
+const exportOperation = (route, exporter) => {
+
+	const operation = {};
+
+	const paths = Object.fromEntries(descriptions(route.handlers, 'path')
+		.filter(({ name }) => typeof name !== 'undefined')
+		.map(({ name, schema }) => [name, schema]));
+
+	const parameters = (route.path.match(/:\w+/g) || [])
+		.map((name) => name.substring(1))
+		.map((name) => {
+			const [param] = descriptions((route.params || {})[name], 'path');
+			const schema = paths[name] || (param || {}).schema;
+			return {
+				name,
+				in: 'path',
+				required: true,
+				schema: schema ? exporter.export(schema) : { type: 'string' }
+			};
+		});
+
+	['query', 'header', 'cookie'].forEach((location) => {
+		descriptions(route.handlers, location).forEach(({ schema }) => {
+			const exported = exporter.export(schema);
+			Object.keys(exported.properties || {}).forEach((name) => {
+				parameters.push({
+					name,
+					in: location,
+					required: (exported.required || []).includes(name),
+					schema: exported.properties[name]
+				});
+			});
+		});
+	});
+
+	if (parameters.length) operation.parameters = parameters;
+
+	descriptions(route.handlers, 'body').forEach(({ schema }) => {
+		operation.requestBody = {
+			required: schema.required === true || schema.required === 'implicit',
+			content: {
+				[mediaType(schema)]: {
+					schema: exporter.export(schema)
+				}
+			}
+		};
+	});
+
+	descriptions(route.handlers, 'response').forEach(({ status, schema }) => {
+		operation.responses = operation.responses || {};
+		operation.responses[status] = {
+			description: `Response with status ${status}.`,
+			content: {
+				'application/json': {
+					schema: exporter.export(schema)
+				}
+			}
+		};
+	});
+
+	return operation;
+
+};
+
+export function openApi(source, options = {}) {
+
+	const exporter = createExporter(options, '#/components/schemas/');
+
+	// Routes are either provided explicitly or found by walking the app.
+	const routes = Array.isArray(source) ? source : walk(source._router || source.router || source);
+
+	const paths = {};
+
+	routes.forEach((route) => {
+		const path = route.path.replace(/:(\w+)\??/g, '{$1}');
+		paths[path] = paths[path] || {};
+		paths[path][route.method.toLowerCase()] = exportOperation(route, exporter);
+	});
+
+	const document = {
+		openapi: '3.1.0',
+		info: options.info || { title: 'API', version: '1.0.0' },
+		paths
+	};
+
+	if (Object.keys(exporter.definitions).length) {
+		document.components = { schemas: exporter.definitions };
+	}
+
+	return document;
+
+}
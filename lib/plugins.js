@@ -10,6 +10,9 @@ import { isSameType, instanceTypeName, typeName } from './utils.js';
 
 const plugins = {};
 
+// The same list is returned until a plugin is used - so formalized schemas can be cached by it.
+let list = [];
+
 export function use(identifier, plugin, { conflict = 'fail' } = {}) {
 
 	if (typeof identifier !== 'string') {
@@ -29,8 +32,10 @@ export function use(identifier, plugin, { conflict = 'fail' } = {}) {
 
 	plugins[identifier] = plugin({ isSameType, instanceTypeName, typeName });
 
+	list = Object.values(plugins);
+
 }
 
 export function all() {
-	return Object.values(plugins);
+	return list;
 }
@@ -0,0 +1,33 @@
+//
+// problem.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { flattenErrors } from './utils.js';
+
+// Comes back with the RFC 7807 problem details of a validation error - the
+// details of the error are only added if exposed.
+export default function problem(error, { status, title, instance, expose }) {
+
+	const problem = {
+		type: 'about:blank',
+		title,
+		status,
+		instance
+	};
+
+	if (expose) {
+		problem.detail = error.message;
+		problem.errors = flattenErrors(error).map(({ keyPath, validator, message }) => ({
+			keyPath: keyPath.join('.'),
+			validator,
+			message
+		}));
+	}
+
+	return problem;
+
+}
@@ -78,3 +78,16 @@ export function formalize(ranges, options) {
 		});
 
 }
+
+export function stringify(ranges) {
+
+	const boundary = (value) => value < 0 ? `(${value})` : `${value}`;
+
+	return ranges
+		.map(({ lower, upper }) => {
+			if (lower === upper) return boundary(lower);
+			return `${lower === -Infinity ? '' : boundary(lower)}-${upper === Infinity ? '' : boundary(upper)}`;
+		})
+		.join(',');
+
+}
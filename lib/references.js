@@ -0,0 +1,47 @@
+//
+// references.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+export class Reference {
+
+	constructor(path) {
+		if (typeof path !== 'string' || path.length === 0) throw new Error('Path must be a string.');
+		this.path = path;
+	}
+
+	toString() {
+		return this.path;
+	}
+
+}
+
+export function ref(path) {
+	return new Reference(path);
+}
+
+// Resolves a path into a key path from the root of the data.
+//
+// Paths starting with `.` are relative to the key path (ex. `../password`
+// is a sibling) - all other paths are absolute (ex. `user.password`).
+export function resolveKeyPath(path, keyPath) {
+
+	if (!/^\.\.?(\/|$)/.test(path)) return path.split('.').filter((key) => key.length);
+
+	return path.split('/').reduce((result, segment) => {
+		if (segment === '..') return result.slice(0, -1);
+		if (segment === '.' || segment.length === 0) return result;
+		return result.concat(segment.split('.').filter((key) => key.length));
+	}, keyPath);
+
+}
+
+export function valueAtKeyPath(data, keyPath) {
+	return keyPath.reduce((data, key) => {
+		if (typeof data !== 'object' || data === null) return undefined;
+		return data[key];
+	}, data);
+}
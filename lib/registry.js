@@ -0,0 +1,43 @@
+//
+// registry.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import formalize from './formalize.js';
+import SchemaError from './errors/schema.js';
+
+const schemas = {};
+
+export function define(name, schema, { conflict = 'fail' } = {}) {
+
+	if (typeof name !== 'string' || name.length === 0) {
+		throw new Error('Name must be a string.');
+	}
+
+	if (Object.prototype.hasOwnProperty.call(schemas, name)) {
+		switch (conflict) {
+		case 'replace':
+			break;
+		case 'ignore':
+			return;
+		default:
+			throw new Error(`Schema with name "${name}" already exists.`);
+		}
+	}
+
+	schemas[name] = formalize(schema);
+
+}
+
+export function resolve(name) {
+
+	if (!Object.prototype.hasOwnProperty.call(schemas, name)) {
+		throw new SchemaError({ $ref: name }, `Schema with name "${name}" is not defined.`);
+	}
+
+	return schemas[name];
+
+}
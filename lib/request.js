@@ -0,0 +1,148 @@
+//
+// request.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { compile } from './validate.js';
+import { typeName } from './utils.js';
+import { gather } from './files.js';
+import ValidationError from './errors/validation.js';
+import AggregatedError from './errors/aggregated.js';
+import merge from '@trenskow/merge';
+
+// Picks the values of the keys in an object schema - other keys are left untouched.
+const pick = (schema, value) => {
+	return Object.fromEntries(Object.keys(schema.schema || {})
+		.map((key) => [key, value(key, schema.schema[key])])
+		.filter(([, value]) => typeof value !== 'undefined'));
+};
+
+export const parseCookies = (header = '') => {
+	return Object.fromEntries(header.split(';')
+		.map((cookie) => cookie.trim())
+		.filter((cookie) => cookie.includes('='))
+		.map((cookie) => {
+			const [name, ...value] = cookie.split('=');
+			try {
+				return [name, decodeURIComponent(value.join('='))];
+			} catch {
+				return [name, value.join('=')];
+			}
+		}));
+};
+
+// The parts of a request that can be validated - how to get the data of
+// the part, assign validated data back and unset it if validation fails.
+const parts = {
+	params: {
+		data: (schema, req) => pick(schema, (key) => req.params[key]),
+		assign: (req, params) => Object.assign(req.params, params),
+		unset: (req, params) => Object.keys(params).forEach((key) => delete req.params[key])
+	},
+	query: {
+		data: (_, req) => req.query,
+		assign: (req, query) => req.query = query,
+		unset: (req) => req.query = undefined
+	},
+	body: {
+		// Uploaded files are validated together with the fields of the body.
+		data: (_, req) => {
+			const files = gather(req);
+			if (typeof files === 'undefined') return req.body;
+			return Object.assign({}, req.body, files);
+		},
+		assign: (req, body) => req.body = body,
+		unset: (req) => req.body = undefined
+	},
+	headers: {
+		// Header names are case-insensitive - multiple values are provided as arrays if the schema is an array.
+		data: (schema, req) => pick(schema, (key, schema) => {
+			const name = key.toLowerCase();
+			if (typeof req.headers[name] === 'undefined') return;
+			if (schema.type && typeName(schema.type) === 'array') {
+				return [].concat(req.headers[name]).join(',').split(/\s*,\s*/);
+			}
+			return [].concat(req.headers[name]).join(', ');
+		}),
+		assign: (req, headers) => Object.keys(headers).forEach((key) => req.headers[key.toLowerCase()] = headers[key]),
+		unset: (req, headers) => Object.keys(headers).forEach((key) => delete req.headers[key.toLowerCase()])
+	},
+	cookies: {
+		// Cookies are parsed from the header if not already parsed.
+		data: (schema, req) => {
+			req.cookies = req.cookies || parseCookies(req.headers.cookie);
+			return pick(schema, (key) => req.cookies[key]);
+		},
+		assign: (req, cookies) => Object.assign(req.cookies, cookies),
+		unset: (req, cookies) => Object.keys(cookies).forEach((key) => delete req.cookies[key])
+	}
+};
+
+const locations = { query: 'query', body: 'body', headers: 'header', cookies: 'cookie' };
+
+// Compiles the schemas of the parts of a request into a function that validates
+// a request like object (`params`, `query`, `body`, `headers` and `cookies`) -
+// this is the core shared by the middleware and the framework adapters.
+export function compileRequest(schemas, options) {
+
+	const validators = Object.fromEntries(Object.keys(schemas).map((part) => {
+		if (typeof parts[part] === 'undefined') throw new Error(`Request part \`${part}\` cannot be validated.`);
+		return [part, compile(schemas[part], options)];
+	}));
+
+	const validate = async (req, context) => {
+
+		const data = Object.fromEntries(Object.keys(validators).map((part) => [part, parts[part].data(validators[part].schema, req)]));
+
+		// All parts are validated - also if some of them fails.
+		const results = await Promise.all(Object.keys(validators).map((part) => {
+			return validators[part](data[part], merge(options, Object.assign({}, context)), [part])
+				.then((value) => ({ part, value }), (error) => ({ part, error }));
+		}));
+
+		const failed = results.filter(({ error }) => error);
+
+		if (failed.length === 0) {
+			results.forEach(({ part, value }) => parts[part].assign(req, value));
+			return Object.fromEntries(results.map(({ part, value }) => [part, value]));
+		}
+
+		Object.keys(validators).forEach((part) => parts[part].unset(req, data[part] || {}));
+
+		const unexpected = failed.find(({ error }) => !(error instanceof ValidationError));
+
+		if (unexpected) throw unexpected.error;
+
+		const errors = failed.reduce((errors, { error }) => {
+			if ((options || {}).aggregatedErrors === 'flatten') return errors.concat(error.errors || [error]);
+			return errors.concat([error]);
+		}, []);
+
+		if (errors.length === 1) throw errors[0];
+
+		throw new AggregatedError([], schemas, 'request', 'Multiple errors occurred.', errors);
+
+	};
+
+	// Parameters are described individually as they are in the path.
+	validate.descriptions = Object.keys(validators).reduce((descriptions, part) => {
+		const schema = validators[part].schema;
+		if (part !== 'params') return descriptions.concat([{ in: locations[part], schema }]);
+		return descriptions.concat(Object.keys(schema.schema || {}).map((name) => ({ in: 'path', name, schema: schema.schema[name] })));
+	}, []);
+
+	return validate;
+
+}
+
+// Marks validation errors as client errors - used by the adapters of frameworks
+// that renders errors from their `status` or `statusCode` property.
+export function clientError(error) {
+	if (!(error instanceof ValidationError)) return error;
+	error.status = error.statusCode = 400;
+	error.expose = true;
+	return error;
+}
@@ -0,0 +1,42 @@
+//
+// transforms.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+export const casings = ['lower', 'upper', 'camel', 'snake', 'kebab'];
+
+export const normalizations = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Splits identifiers into lower case words - at separators and at case changes (eg. `myHTTPServer` becomes `my`, `http` and `server`).
+const words = (value) => {
+	return value
+		.replace(/(\p{Ll}|\p{N})(\p{Lu})/gu, '$1 $2')
+		.replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+		.split(/[\s_-]+/)
+		.filter((word) => word.length)
+		.map((word) => word.toLowerCase());
+};
+
+export function changeCase(value, casing) {
+	switch (casing) {
+	case 'lower':
+		return value.toLowerCase();
+	case 'upper':
+		return value.toUpperCase();
+	case 'camel':
+		return words(value)
+			.map((word, idx) => idx === 0 ? word : word.charAt(0).toUpperCase() + word.substring(1))
+			.join('');
+	case 'snake':
+		return words(value).join('_');
+	case 'kebab':
+		return words(value).join('-');
+	}
+}
+
+export function collapse(value) {
+	return value.replace(/\s+/g, ' ');
+}
@@ -0,0 +1,215 @@
+//
+// typescript.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import formalize from './formalize.js';
+import SchemaError from './errors/schema.js';
+import { resolve } from './registry.js';
+import { Reference } from './references.js';
+import { typeName, enumEntries } from './utils.js';
+
+const literal = (value) => {
+	if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+	return `${value}`;
+};
+
+const isIdentifier = (name) => /^[A-Za-z_$][\w$]*$/.test(name);
+
+const propertyName = (key) => isIdentifier(key) ? key : literal(key);
+
+// Names of schemas that are not identifiers (eg. `my-node`) are declared in pascal case (eg. `MyNode`).
+const identifier = (name) => {
+
+	if (isIdentifier(name)) return name;
+
+	const result = name
+		.split(/[^\w$]+/)
+		.map((word) => word.charAt(0).toUpperCase() + word.substring(1))
+		.join('');
+
+	if (!isIdentifier(result)) {
+		throw new SchemaError({ $ref: name }, `Schema with name "${name}" cannot be declared as a type.`);
+	}
+
+	return result;
+
+};
+
+// Wraps top level unions and intersections in parentheses.
+const group = (type) => {
+
+	let depth = 0;
+	let quoted = false;
+
+	for (let idx = 0 ; idx < type.length ; idx++) {
+		const char = type[idx];
+		if (char === '\\') idx++;
+		else if (char === '\'') quoted = !quoted;
+		else if (quoted) continue;
+		else if ('{[('.includes(char)) depth++;
+		else if ('}])'.includes(char)) depth--;
+		else if (depth === 0 && '|&'.includes(char)) return `(${type})`;
+	}
+
+	return type;
+
+};
+
+// Keys are always present in validated data if required or defaulted.
+const isRequired = (schema, options) => {
+	if (typeof schema.default !== 'undefined') return true;
+	if (schema.required === 'implicit') return true;
+	if (typeof schema.required === 'undefined') return (options.defaults || {}).required === true;
+	return schema.required === true;
+};
+
+const declareObject = (properties, indexSignature, indentation) => {
+
+	const lines = properties.concat(indexSignature ? ['[key: string]: unknown;'] : []);
+
+	if (lines.length === 0) return '{}';
+
+	return `{\n${lines.map((line) => `${indentation}\t${line}`).join('\n')}\n${indentation}}`;
+
+};
+
+const declareProperties = (schema, options, context, indentation, exclude = []) => {
+	return Object.keys(schema.schema || {}).filter((key) => !exclude.includes(key)).map((key) => {
+		const optional = isRequired(schema.schema[key], options) ? '' : '?';
+		return `${propertyName(key)}${optional}: ${declareAny(schema.schema[key], options, context, `${indentation}\t`)};`;
+	});
+};
+
+const declareType = (schema, options, context, indentation) => {
+
+	switch (typeName(schema.type)) {
+	case 'object': {
+
+		if (typeof schema.discriminator !== 'undefined') {
+			const { key, schemas } = schema.discriminator;
+			return Object.keys(schemas).map((value) => {
+				const properties = declareProperties(schemas[value], options, context, indentation, [key]);
+				return declareObject([`${propertyName(key)}: ${literal(value)};`].concat(properties), false, indentation);
+			}).join(' | ');
+		}
+
+		const unknownKeys = schema.unknownKeys || (options.defaults || {}).unknownKeys;
+
+		return declareObject(declareProperties(schema, options, context, indentation), unknownKeys === 'allow', indentation);
+
+	}
+	case 'array':
+		if (typeof schema.schema === 'undefined') return 'unknown[]';
+		return `${group(declareAny(schema.schema, options, context, indentation))}[]`;
+	case 'string':
+		return 'string';
+	case 'number':
+		return 'number';
+	case 'boolean':
+		return 'boolean';
+	case 'date':
+		return 'Date';
+	case 'file': {
+		// Files are declared as `File` - unless the type is another class.
+		const type = typeof schema.type === 'function' ? schema.type.name : 'File';
+		return typeof schema.count !== 'undefined' ? `${type}[]` : type;
+	}
+	default:
+		// Custom types are declared by the name of their class.
+		return typeof schema.type === 'function' ? schema.type.name : schema.type;
+	}
+
+};
+
+const declareAny = (schema, options, context, indentation = '') => {
+
+	if (typeof schema.when !== 'undefined') {
+		return [schema.when.then, schema.when.otherwise]
+			.map((schema) => declareAny(schema, options, context, indentation))
+			.filter((type, idx, types) => types.indexOf(type) === idx)
+			.join(' | ');
+	}
+
+	let types = [];
+
+	if (typeof schema.type !== 'undefined') {
+		types.push(declareType(schema, options, context, indentation));
+	}
+
+	if (typeof schema.$ref !== 'undefined') {
+		types.push(declareDefinition(schema.$ref, options, context));
+	}
+
+	if (['string', 'number', 'boolean'].includes(typeof schema.equal)) {
+		types = [literal(schema.equal)];
+	}
+
+	// Enums are declared as the values they come back as - if they are all literals.
+	if (typeof schema.enum !== 'undefined' && !(schema.enum instanceof Reference)) {
+		const values = enumEntries(schema.enum).map(([key, value]) => (schema.mapEnum || (options.defaults || {}).mapEnum) ? value : key);
+		if (values.every((value) => ['string', 'number', 'boolean'].includes(typeof value))) {
+			types = [values.filter((value, idx) => values.indexOf(value) === idx).map(literal).join(' | ')];
+		}
+	}
+
+	['anyOf', 'oneOf'].filter((key) => typeof schema[key] !== 'undefined').forEach((key) => {
+		types.push(schema[key].map((schema) => declareAny(schema, options, context, indentation)).join(' | '));
+	});
+
+	if (typeof schema.allOf !== 'undefined') {
+		types = types.concat(schema.allOf.map((schema) => declareAny(schema, options, context, indentation)));
+	}
+
+	let type = types.length ? types.map((type) => types.length > 1 ? group(type) : type).join(' & ') : 'unknown';
+
+	if ((schema.null || (options.defaults || {}).null) === 'allow') type = `${type} | null`;
+
+	return type;
+
+};
+
+// Comes back with the identifier of the declaration.
+const declareDefinition = (name, options, context) => {
+
+	const declared = identifier(name);
+
+	if (Object.prototype.hasOwnProperty.call(context.names, declared)) {
+		if (context.names[declared] !== name) {
+			throw new SchemaError({ $ref: name }, `Schemas with names "${context.names[declared]}" and "${name}" are both declared as "${declared}".`);
+		}
+		return declared;
+	}
+
+	context.names[declared] = name;
+
+	// Add before declaring in order to support recursive schemas.
+	context.definitions[declared] = '';
+	context.definitions[declared] = declareAny(resolve(name), options, context);
+
+	return declared;
+
+};
+
+export function toTypeScript(schema, options = {}) {
+
+	const context = { definitions: {}, names: {} };
+
+	const declarations = {
+		[options.name || 'Data']: declareAny(formalize(schema), options, context)
+	};
+
+	Object.keys(context.definitions)
+		.filter((name) => typeof declarations[name] === 'undefined')
+		.forEach((name) => {
+			declarations[name] = context.definitions[name];
+		});
+
+	return Object.keys(declarations)
+		.map((name) => `export type ${name} = ${declarations[name]};\n`)
+		.join('\n');
+
+}
@@ -6,18 +6,22 @@
 // See license in LICENSE
 //
 
-import equals from './equals.js';
+import { sync as equals } from './equals.js';
 
-export default async (arr) => {
+const unique = (arr) => {
 
 	if (arr.length <= 1) return true;
 
 	for (let idx1 = 0 ; idx1 < arr.length ; idx1++) {
 		for (let idx2 = idx1 + 1 ; idx2 < arr.length ; idx2++) {
-			if (await equals(arr[idx1], arr[idx2])) return false;
+			if (equals(arr[idx1], arr[idx2])) return false;
 		}
 	}
 
 	return true;
 
 };
+
+export { unique as sync };
+
+export default async (arr) => unique(arr);
@@ -21,3 +21,38 @@ export function isSameType(obj1, obj2) {
 	}
 	return typeName(obj1).toLowerCase() == typeName(obj2).toLowerCase();
 }
+
+export function copy(obj) {
+	if (Array.isArray(obj)) return obj.map((value) => copy(value));
+	if (typeof obj === 'object' && obj !== null && instanceTypeName(obj) === 'object') {
+		return Object.fromEntries(Object.keys(obj).map((key) => [key, copy(obj[key])]));
+	}
+	return obj;
+}
+
+export function flattenErrors(error) {
+	if (error.errors) return error.errors.reduce((errors, error) => errors.concat(flattenErrors(error)), []);
+	return [error];
+}
+
+// Enums are arrays of values, objects mapping strings to values or maps.
+export function enumEntries(values) {
+	if (Array.isArray(values)) return values.map((value) => [value, value]);
+	if (values instanceof Map) return Array.from(values.entries());
+	return Object.entries(values);
+}
+
+export function enumKeys(values) {
+	return enumEntries(values).map(([key]) => key);
+}
+
+// Patterns are regular expressions - or lists of regular expressions, which
+// may have a message (as `[pattern, message]` or `{ pattern, message }`).
+export function patterns(value) {
+	return [].concat(value).map((rule) => {
+		if (rule instanceof RegExp) return { pattern: rule };
+		if (Array.isArray(rule) && rule[0] instanceof RegExp && rule.length === 2) return { pattern: rule[0], message: rule[1] };
+		if (typeof rule === 'object' && rule !== null && rule.pattern instanceof RegExp) return { pattern: rule.pattern, message: rule.message };
+		throw new Error('Patterns must be regular expressions.');
+	});
+}
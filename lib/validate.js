@@ -8,11 +8,19 @@
 
 import ValidationError from './errors/validation.js';
 import AggregatedError from './errors/aggregated.js';
-import { testIndex } from './ranges.js';
-import unique from './unique.js';
-import formalize from './formalize.js';
-import { isSameType, instanceTypeName, typeName } from './utils.js';
-import equals from './equals.js';
+import SchemaError from './errors/schema.js';
+import { testIndex, testFormalizedRange, formalize as formalizeRange, stringify as stringifyRange } from './ranges.js';
+import { sync as unique } from './unique.js';
+import formalize, { rangeOptions, asynchronousValidator } from './formalize.js';
+import { resolve } from './registry.js';
+import { all as allPlugins } from './plugins.js';
+import { Reference, resolveKeyPath, valueAtKeyPath } from './references.js';
+import { isSameType, instanceTypeName, typeName, copy, flattenErrors, enumEntries, patterns } from './utils.js';
+import { sync as equals, strict as strictEquals } from './equals.js';
+import { isFile, matchesMimeType, matchesExtension } from './files.js';
+import { resolve as resolveFormat, test as testFormat } from './formats.js';
+import { changeCase, collapse } from './transforms.js';
+import { measure } from './length.js';
 
 const checkBoolValue = (name, schema, defaults) => {
 	if (schema[name] === undefined) return defaults[name] === true;
@@ -24,7 +32,153 @@ const customErrorMessage = (str, ...args) => {
 	return str;
 };
 
-const validateObject = async (data, schema, options, keyPath, validatedData) => {
+// Compiled schemas holds the information of a formalized schema
+// which would otherwise be looked up every time it is validated.
+const compiledSchemas = new WeakMap();
+
+const compileSchema = (schema) => {
+
+	let compiled = compiledSchemas.get(schema);
+
+	if (typeof compiled !== 'undefined') return compiled;
+
+	const plugins = (phase) => Object.keys(schema._plugins || {})
+		.filter((key) => schema._plugins[key].phase === phase)
+		.map((key) => [key, schema._plugins[key].validator]);
+
+	compiled = {
+		typeName: schema.type !== undefined ? typeName(schema.type).toLowerCase() : undefined,
+		plugins: {
+			pre: plugins('pre'),
+			post: plugins('post')
+		},
+		enumEntries: schema.enum !== undefined && !(schema.enum instanceof Reference) ? enumEntries(schema.enum) : undefined,
+		// Keys of objects are validated by priority.
+		keys: Object.keys(schema.schema || {}).sort((key1, key2) => {
+			return schema.schema[key1].priority - schema.schema[key2].priority;
+		})
+	};
+
+	compiled.validate = compileValidator(schema, compiled);
+
+	compiledSchemas.set(schema, compiled);
+
+	return compiled;
+
+};
+
+const resolveReference = (value, options, keyPath, validatedData) => {
+	if (!(value instanceof Reference)) return value;
+	return valueAtKeyPath(validatedData, resolveKeyPath(value.path, keyPath.slice(options.keyPath.length)));
+};
+
+const resolveRanges = (name, schema, options, keyPath, validatedData) => {
+
+	let ranges = resolveReference(schema[name] || options.defaults[name], options, keyPath, validatedData);
+
+	if (typeof ranges === 'undefined' || ranges === null) return;
+
+	try {
+		if (!testFormalizedRange(ranges)) ranges = formalizeRange(ranges, rangeOptions[name]);
+	} catch (error) {
+		throw new ValidationError(keyPath, schema._nonFormalizedSchema, name, error.message);
+	}
+
+	// Missing boundaries makes the range open-ended.
+	const boundary = (boundary, missing) => {
+		boundary = resolveReference(boundary, options, keyPath, validatedData);
+		return typeof boundary === 'undefined' || boundary === null ? missing : boundary;
+	};
+
+	return ranges.map(({ lower, upper }) => {
+		return { lower: boundary(lower, -Infinity), upper: boundary(upper, Infinity) };
+	});
+
+};
+
+const describeRanges = (name, schema, ranges) => {
+	if (['string', 'number'].includes(typeof schema._nonFormalizedSchema[name])) return schema._nonFormalizedSchema[name];
+	return stringifyRange(ranges);
+};
+
+const validateDiscriminator = function*(data, schema, options, keyPath, validatedData) {
+
+	const { key, schemas } = schema.discriminator;
+	const value = data[key];
+
+	if (typeof value === 'undefined' || value === null || !Object.prototype.hasOwnProperty.call(schemas, value)) {
+		throw new ValidationError(
+			keyPath.concat([key]),
+			schema._nonFormalizedSchema,
+			'discriminator',
+			(schema.errors || {}).discriminator || customErrorMessage(((options.errorMessages || {}).object || {}).discriminator || ((key, value) => {
+				if (typeof value === 'undefined' || value === null) return `Missing ${key}.`;
+				return `Unknown ${key} '${value}'.`;
+			}), key, value)
+		);
+	}
+
+	const branch = schemas[value];
+
+	// If the selected schema does not describe the key itself, we
+	// validate without it and add it back afterwards.
+	if (typeof branch.schema === 'undefined' || typeof branch.schema[key] !== 'undefined') {
+		return yield* validateAny(data, branch, options, keyPath, validatedData);
+	}
+
+	const rest = Object.fromEntries(Object.keys(data)
+		.filter((dataKey) => dataKey !== key)
+		.map((dataKey) => [dataKey, data[dataKey]]));
+
+	return Object.assign({ [key]: value }, yield* validateAny(rest, branch, options, keyPath, validatedData));
+
+};
+
+// Keys of the object schemas composed by `allOf` - known by all the schemas of the
+// composition, so each schema only denies the keys unknown to all of them.
+const composedKeys = new WeakMap();
+
+const describedKeys = (schema, visited = []) => {
+
+	if (visited.includes(schema)) return [];
+
+	visited = visited.concat([schema]);
+
+	let keys = Object.keys(schema.schema || {});
+
+	if (schema.$ref !== undefined) keys = keys.concat(describedKeys(resolve(schema.$ref), visited));
+
+	if (schema.discriminator !== undefined) {
+		keys = keys.concat([schema.discriminator.key], ...Object.values(schema.discriminator.schemas)
+			.map((schema) => describedKeys(schema, visited)));
+	}
+
+	return keys.concat(...(schema.allOf || []).map((schema) => describedKeys(schema, visited)));
+
+};
+
+// Makes the keys of a schema known to the object while it is validated - comes back
+// with a function that restores the keys known before.
+const compose = (data, schema) => {
+
+	if (typeof data !== 'object' || data === null) return () => {};
+
+	const composed = composedKeys.get(data);
+
+	composedKeys.set(data, (composed || []).concat(describedKeys(schema)));
+
+	return () => {
+		if (typeof composed !== 'undefined') composedKeys.set(data, composed);
+		else composedKeys.delete(data);
+	};
+
+};
+
+const isKnownKey = (data, schema, key) => {
+	return Object.prototype.hasOwnProperty.call(schema.schema, key) || (composedKeys.get(data) || []).includes(key);
+};
+
+const validateObject = function*(data, schema, options, keyPath, validatedData) {
 
 	if (data) {
 
@@ -37,12 +191,17 @@ const validateObject = async (data, schema, options, keyPath, validatedData) =>
 			);
 		}
 
+		if (typeof schema.discriminator !== 'undefined') {
+			return yield* validateDiscriminator(data, schema, options, keyPath, validatedData);
+		}
+
 		// If there is no schema we just return the object.
 		if (typeof schema.schema === 'undefined') return data;
 
 		// Find unknown keys
 		for (let key in data) {
-			if (schema.schema[key] === undefined) {
+			// Keys like `__proto__` are unknown, even though they are in the prototype of the schema.
+			if (!isKnownKey(data, schema, key)) {
 				switch (schema.unknownKeys || options.defaults.unknownKeys) {
 				case 'allow':
 					break;
@@ -60,17 +219,14 @@ const validateObject = async (data, schema, options, keyPath, validatedData) =>
 			}
 		}
 
-		// Get keys and sort by priority
-		let keys = Object.keys(schema.schema).sort((key1, key2) => {
-			return schema.schema[key1].priority - schema.schema[key2].priority;
-		});
+		const keys = compileSchema(schema).keys;
 
 		let errors = [];
 
 		for (let key of keys) {
 
 			try {
-				let value = await validateAny(data[key], schema.schema[key], options, keyPath.concat([key]), validatedData);
+				let value = yield* validateAny(data[key], schema.schema[key], options, keyPath.concat([key]), validatedData);
 				if (typeof value !== 'undefined') {
 					data[key] = value;
 				}
@@ -110,14 +266,14 @@ const validateObject = async (data, schema, options, keyPath, validatedData) =>
 
 };
 
-const validateArray = async (data, schema, options, keyPath, validatedData) => {
+const validateArray = function*(data, schema, options, keyPath, validatedData) {
 
 	if (data) {
 
 		if (!Array.isArray(data)) {
 
 			if (checkBoolValue('autoWrap', schema, options.defaults)) {
-				return await validateArray([data], schema, options, keyPath, validatedData);
+				return yield* validateArray([data], schema, options, keyPath, validatedData);
 			} else {
 				throw new ValidationError(
 					keyPath,
@@ -135,7 +291,7 @@ const validateArray = async (data, schema, options, keyPath, validatedData) => {
 
 			for (let idx in data) {
 				try {
-					data[idx] = await validateAny(data[idx], schema.schema, options, keyPath.concat([idx]), validatedData);
+					data[idx] = yield* validateAny(data[idx], schema.schema, options, keyPath.concat([idx]), validatedData);
 				} catch (error) {
 
 					switch (options.aggregatedErrors || 'none') {
@@ -167,16 +323,18 @@ const validateArray = async (data, schema, options, keyPath, validatedData) => {
 
 		}
 
-		if ((schema.len || options.defaults.len) && !testIndex((schema.len || options.defaults.len), data.length)) {
+		const len = resolveRanges('len', schema, options, keyPath, validatedData);
+
+		if (len && !testIndex(len, data.length)) {
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
 				'len',
-				(schema.errors || {}).len || customErrorMessage(((options.errorMessages || {}).array || {}).len || ((len) => `Array length is not within range of '${len}'.`), schema._nonFormalizedSchema.len)
+				(schema.errors || {}).len || customErrorMessage(((options.errorMessages || {}).array || {}).len || ((len) => `Array length is not within range of '${len}'.`), describeRanges('len', schema, len))
 			);
 		}
 
-		if ((schema.unique || options.defaults.unique) && !await unique(data)) {
+		if ((schema.unique || options.defaults.unique) && !unique(data)) {
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
@@ -191,7 +349,7 @@ const validateArray = async (data, schema, options, keyPath, validatedData) => {
 
 };
 
-const validateString = async (data, schema, options, keyPath) => {
+const validateString = (data, schema, options, keyPath, validatedData) => {
 
 	if (typeof data !== 'string') {
 		throw new ValidationError(
@@ -206,42 +364,67 @@ const validateString = async (data, schema, options, keyPath) => {
 		data = data.replace(/^\s+|\s+$/g,'');
 	}
 
-	if (schema.len || options.defaults.len) {
-		if (!testIndex(schema.len || options.defaults.len, data.length)) {
+	// Transforms are applied before validation - in order for validators to test the canonical string.
+	const normalization = schema.normalize || options.defaults.normalize;
+
+	if (normalization) data = data.normalize(normalization);
+
+	if (checkBoolValue('collapse', schema, options.defaults)) data = collapse(data);
+
+	const casing = schema.case || options.defaults.case;
+
+	if (casing) data = changeCase(data, casing);
+
+	const len = resolveRanges('len', schema, options, keyPath, validatedData);
+
+	if (len) {
+		if (!testIndex(len, measure(data, schema.lenUnit || options.defaults.lenUnit))) {
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
 				'len',
-				(schema.errors || {}).len || customErrorMessage(((options.errorMessages || {}).string || {}).len || ((len) => `String length is not within range of ${len}`), schema._nonFormalizedSchema.len)
+				(schema.errors || {}).len || customErrorMessage(((options.errorMessages || {}).string || {}).len || ((len) => `String length is not within range of ${len}`), describeRanges('len', schema, len))
 			);
 		}
 	}
 
-	if (schema.match || options.defaults.match) {
-		// We are guaranteed that match is a RegExp because the formalizer has tested it.
-		if (!(schema.match || options.defaults.match).test(data)) {
-			throw new ValidationError(
-				keyPath,
-				schema._nonFormalizedSchema,
-				'match',
-				(schema.errors || {}).match || customErrorMessage(((options.errorMessages || {}).string || {}).match || ((source) => `Does not match expression ${source}.`), schema.match.source)
-			);
-		}
+	// All patterns are tested - and all failed patterns are reported if errors are aggregated.
+	const failed = ['match', 'notMatch']
+		.filter((validator) => schema[validator] || options.defaults[validator])
+		.reduce((failed, validator) => {
+			return failed.concat(patterns(schema[validator] || options.defaults[validator])
+				.filter(({ pattern }) => pattern.test(data) !== (validator === 'match'))
+				.map(({ pattern, message }) => {
+					const defaultMessage = validator === 'match' ? ((source) => `Does not match expression ${source}.`) : ((source) => `Must not match expression ${source}.`);
+					return new ValidationError(
+						keyPath,
+						schema._nonFormalizedSchema,
+						validator,
+						message || (schema.errors || {})[validator] || customErrorMessage(((options.errorMessages || {}).string || {})[validator] || defaultMessage, pattern.source)
+					);
+				}));
+		}, []);
+
+	if (failed.length === 1 || (failed.length && (options.aggregatedErrors || 'none') === 'none')) throw failed[0];
+
+	if (failed.length) {
+		throw new AggregatedError(
+			keyPath,
+			schema._nonFormalizedSchema,
+			'string',
+			(schema.errors || {}).string || customErrorMessage(((options.errorMessages || {}).string || {}).string || 'Multiple errors occurred.'),
+			failed
+		);
 	}
 
-	// Validate enums
-	if ((schema.enum || options.defaults.enum) && Object.keys(schema.enum || options.defaults.enum).indexOf(data) == -1) {
+	const format = schema.format || options.defaults.format;
+
+	if (format && !testFormat(format, data)) {
 		throw new ValidationError(
 			keyPath,
 			schema._nonFormalizedSchema,
-			'enum',
-			(schema.errors || {}).enum || customErrorMessage(((options.errorMessages || {}).string || {}).enum || ((values) => {
-				return `Possible values are ${Object.keys(values).map(function(val) {
-					return '"' + val + '"';
-				}).reduce(function(prev, cur, idx, arr) {
-					return prev + (idx == arr.length - 1 ? ' and ' : ', ') + cur;
-				})}.`;
-			}), schema.enum)
+			'format',
+			(schema.errors || {}).format || customErrorMessage(((options.errorMessages || {}).string || {}).format || resolveFormat(format).message, format)
 		);
 	}
 
@@ -249,7 +432,7 @@ const validateString = async (data, schema, options, keyPath) => {
 
 };
 
-const validateNumber = async (data, schema, options, keyPath) => {
+const validateNumber = (data, schema, options, keyPath, validatedData) => {
 
 	if (typeof data === 'string' && /^-?[0-9]+(?:\.[0-9]+)?(?:[eE](?:-|\+)?[0-9]+)?$/.test(data)) {
 		data = parseFloat(data);
@@ -266,13 +449,15 @@ const validateNumber = async (data, schema, options, keyPath) => {
 
 	}
 
-	if (schema.range || options.defaults.range) {
-		if (!testIndex(schema.range || options.defaults.range, data)) {
+	const range = resolveRanges('range', schema, options, keyPath, validatedData);
+
+	if (range) {
+		if (!testIndex(range, data)) {
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
 				'range',
-				(schema.errors || {}).range || customErrorMessage(((options.errorMessages || {}).number || {}).range || ((range) => `Not within range of ${range}.`), schema._nonFormalizedSchema.range)
+				(schema.errors || {}).range || customErrorMessage(((options.errorMessages || {}).number || {}).range || ((range) => `Not within range of ${range}.`), describeRanges('range', schema, range))
 			);
 		}
 	}
@@ -297,7 +482,7 @@ const validateNumber = async (data, schema, options, keyPath) => {
 
 };
 
-const validateBoolean = async (data, schema, options, keyPath) => {
+const validateBoolean = (data, schema, options, keyPath) => {
 
 	if (typeof data === 'string' && /^true|false$/i.test(data)) {
 		data = /^true$/i.test(data);
@@ -316,7 +501,7 @@ const validateBoolean = async (data, schema, options, keyPath) => {
 
 };
 
-const validateDate = async (data, schema, options, keyPath) => {
+const validateDate = (data, schema, options, keyPath) => {
 
 	if (typeof data === 'string') {
 
@@ -346,7 +531,7 @@ const validateDate = async (data, schema, options, keyPath) => {
 
 };
 
-const validateOther = async (data, schema, options, keyPath) => {
+const validateOther = (data, schema, options, keyPath) => {
 
 	if (!isSameType(typeName(schema.type), instanceTypeName(data))) {
 		throw new ValidationError(
@@ -361,15 +546,123 @@ const validateOther = async (data, schema, options, keyPath) => {
 
 };
 
-const validateCustom = async (phase, data, schema, options, keyPath, validatedData) => {
+const validateFile = (data, schema, options, keyPath, validatedData) => {
+
+	const count = resolveRanges('count', schema, options, keyPath, validatedData);
+
+	const files = [].concat(data);
+
+	// Without `count` a single file is expected.
+	if (!testIndex(count || [{ lower: 1, upper: 1 }], files.length)) {
+		throw new ValidationError(
+			keyPath,
+			schema._nonFormalizedSchema,
+			'count',
+			(schema.errors || {}).count || customErrorMessage(((options.errorMessages || {}).file || {}).count || ((count) => `File count is not within range of '${count}'.`), count ? describeRanges('count', schema, count) : '1')
+		);
+	}
+
+	const maxSize = schema.maxSize || options.defaults.maxSize;
+	const mimeTypes = schema.mimeTypes || options.defaults.mimeTypes;
+	const extensions = schema.extensions || options.defaults.extensions;
+
+	files.forEach((file, idx) => {
+
+		const fileKeyPath = count ? keyPath.concat([idx]) : keyPath;
+
+		const fail = (validator, message, ...args) => {
+			throw new ValidationError(
+				fileKeyPath,
+				schema._nonFormalizedSchema,
+				validator,
+				(schema.errors || {})[validator] || customErrorMessage(((options.errorMessages || {}).file || {})[validator] || message, ...args)
+			);
+		};
+
+		if (!isFile(file)) fail('type', 'Is not of type file.');
+
+		if (typeof maxSize !== 'undefined' && file.size > maxSize) {
+			fail('maxSize', (maxSize) => `File is larger than ${maxSize} bytes.`, maxSize);
+		}
+
+		if (mimeTypes && !matchesMimeType(mimeTypes, file)) {
+			fail('mimeTypes', (mimeTypes) => `File is not of type(s) ${mimeTypes.join(', ')}.`, mimeTypes);
+		}
+
+		if (extensions && !matchesExtension(extensions, file)) {
+			fail('extensions', (extensions) => `File does not have extension(s) ${extensions.join(', ')}.`, extensions);
+		}
+
+	});
+
+	return count ? files : files[0];
+
+};
+
+const describeEnum = (values) => {
+	return `Possible values are ${enumEntries(values).map(([key]) => {
+		return typeof key === 'string' ? '"' + key + '"' : `${key}`;
+	}).reduce(function(prev, cur, idx, arr) {
+		return prev + (idx == arr.length - 1 ? ' and ' : ', ') + cur;
+	})}.`;
+};
+
+const validateEnum = (data, schema, options, keyPath, validatedData, type) => {
+
+	// Default enums only applies to strings.
+	const values = resolveReference(schema.enum || (type === 'string' ? options.defaults.enum : undefined), options, keyPath, validatedData);
+
+	if (typeof values === 'undefined' || values === null) return data;
+
+	const ignoreCase = checkBoolValue('ignoreCase', schema, options.defaults);
+
+	const matches = (key) => {
+		if (ignoreCase && typeof key === 'string' && typeof data === 'string') return key.toLowerCase() === data.toLowerCase();
+		return strictEquals(key, data);
+	};
+
+	// Entries of the enum of the schema are only found once.
+	const entries = values === schema.enum ? compileSchema(schema).enumEntries : enumEntries(values);
+
+	const entry = entries.find(([key]) => matches(key));
+
+	if (typeof entry === 'undefined') {
+		throw new ValidationError(
+			keyPath,
+			schema._nonFormalizedSchema,
+			'enum',
+			(schema.errors || {}).enum || customErrorMessage(((options.errorMessages || {})[type] || {}).enum || (options.errorMessages || {}).enum || describeEnum, values)
+		);
+	}
+
+	if (checkBoolValue('mapEnum', schema, options.defaults)) return entry[1];
+
+	// Values matched without case come back as the value of the enum.
+	return typeof entry[0] === 'string' ? entry[0] : data;
+
+};
+
+const isThenable = (value) => value !== null && ['object', 'function'].includes(typeof value) && typeof value.then === 'function';
+
+// Functions must come back with plain values when validating synchronously.
+const returned = (value, schema, key, options) => {
+	if (options.synchronous === true && isThenable(value)) {
+		value.then(undefined, () => {});
+		throw new SchemaError(schema._nonFormalizedSchema, `Validator \`${key}\` returned a promise, which cannot be validated synchronously.`);
+	}
+	return value;
+};
+
+const validateCustom = function*(phase, data, schema, options, keyPath, validatedData) {
 
 	if (!schema[phase]) return data;
 
 	for (let idx = 0 ; idx < schema[phase].length ; idx++) {
 		try {
-			let result = await Promise.resolve(schema[phase][idx](data, schema, { options, keyPath, data: validatedData }));
+			let result = yield returned(schema[phase][idx](data, schema, { options, keyPath, data: validatedData }), schema, phase, options);
 			if (typeof result !== 'undefined') data = result;
 		} catch (error) {
+			if (error instanceof SchemaError) throw error;
 			throw ValidationError.fromError(keyPath, schema._nonFormalizedSchema, phase, error);
 		}
 	}
@@ -378,17 +671,16 @@ const validateCustom = async (phase, data, schema, options, keyPath, validatedDa
 
 };
 
-const validatePlugins = async (phase, data, schema, options, keyPath) => {
+const validatePlugins = function*(phase, data, schema, options, keyPath) {
 
-	const plugins = Object.keys(schema._plugins || {})
-		.filter((key) => schema._plugins[key].phase === phase)
-		.map((key) => [key, schema._plugins[key].validator]);
+	const plugins = compileSchema(schema).plugins[phase];
 
 	for (let idx = 0 ; idx < plugins.length ; idx++) {
 		const [key, validator] = plugins[idx];
 		try {
-			data = await validator(data, schema[key], key, schema.type);
+			data = yield returned(validator(data, schema[key], key, schema.type), schema, key, options);
 		} catch (error) {
+			if (error instanceof SchemaError) throw error;
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
@@ -401,101 +693,351 @@ const validatePlugins = async (phase, data, schema, options, keyPath) => {
 
 };
 
-const validatePre = async (data, schema, options, keyPath, validatedData) => {
-	data = await validateCustom('pre', data, schema, options, keyPath, validatedData);
-	return await validatePlugins('pre', data, schema, options, keyPath);
-};
-
-const validatePost = async (data, schema, options, keyPath, validatedData) => {
-	data = await validatePlugins('post', data, schema, options, keyPath);
-	return await validateCustom('post', data, schema, options, keyPath, validatedData);
+const validateBranch = function*(data, branch, options, keyPath, validatedData) {
+	try {
+		return { data: yield* validateAny(copy(data), branch, options, keyPath, validatedData) };
+	} catch (error) {
+		if (!(error instanceof ValidationError)) throw error;
+		return { error };
+	}
 };
 
-const validateAny = async (data, schema, options, keyPath, validatedData) => {
+const validateUnions = function*(data, schema, options, keyPath, validatedData) {
 
-	// If schema is not yet formalized - formalize it and come back.
-	if (schema._nonFormalizedSchema === undefined) {
-		return await validateAny(data, formalize(schema, options), options, keyPath, validatedData);
+	if (schema.allOf) {
+		for (let idx = 0 ; idx < schema.allOf.length ; idx++) {
+			data = yield* validateAny(data, schema.allOf[idx], options, keyPath, validatedData);
+		}
 	}
 
-	data = await validatePre(data, schema, options, keyPath, validatedData);
+	if (schema.anyOf) {
 
-	if (typeof data === 'undefined' || data === null) {
-		if (data === null) {
-			let nul = schema.null || options.defaults.null || 'deny';
-			if (nul === 'undefine') data = undefined;
-			else if (nul === 'allow') return await validatePost(data, schema, options, keyPath, validatedData);
-			else throw new ValidationError(
+		let errors = [];
+		let match;
+
+		for (let idx = 0 ; idx < schema.anyOf.length && !match ; idx++) {
+			const result = yield* validateBranch(data, schema.anyOf[idx], options, keyPath, validatedData);
+			if (result.error) errors.push(result.error);
+			else match = result;
+		}
+
+		if (!match) {
+			throw new AggregatedError(
 				keyPath,
 				schema._nonFormalizedSchema,
-				'null',
-				(schema.errors || {}).null || customErrorMessage((options.errorMessages || {}).null || 'Cannot be null.')
+				'anyOf',
+				(schema.errors || {}).anyOf || customErrorMessage((options.errorMessages || {}).anyOf || 'Does not match any of the allowed schemas.'),
+				errors
 			);
 		}
-		if (typeof schema.default !== 'undefined') {
-			let data = schema.default;
-			if (typeof data === 'function') {
-				data = data(options, validatedData);
-			}
-			data = await Promise.resolve(data);
-			return await validatePost(data, schema, options, keyPath, validatedData);
+
+		data = match.data;
+
+	}
+
+	if (schema.oneOf) {
+
+		let results = [];
+
+		for (let idx = 0 ; idx < schema.oneOf.length ; idx++) {
+			results.push(yield* validateBranch(data, schema.oneOf[idx], options, keyPath, validatedData));
 		}
-		if (schema.required === 'implicit') {
-			data = {};
-		} else if (checkBoolValue('required', schema, options.defaults)) {
-			throw new ValidationError(
+
+		const matches = results.filter((result) => !result.error);
+
+		if (matches.length === 0) {
+			throw new AggregatedError(
 				keyPath,
 				schema._nonFormalizedSchema,
-				'required',
-				(schema.errors || {}).required || customErrorMessage((options.errorMessages || {}).required || 'Data is required.')
+				'oneOf',
+				(schema.errors || {}).oneOf || customErrorMessage((options.errorMessages || {}).oneOf || 'Does not match any of the allowed schemas.'),
+				results.map((result) => result.error)
 			);
-		} else {
-			return await validatePost(data, schema, options, keyPath, validatedData);
 		}
-	}
 
-	if (typeof schema.equal !== 'undefined' || typeof options.defaults.equal !== 'undefined') {
-		if (!await equals(schema.equal || options.defaults.equal, data)) {
+		if (matches.length > 1) {
 			throw new ValidationError(
 				keyPath,
 				schema._nonFormalizedSchema,
-				'equal',
-				(schema.errors || {}).equal || customErrorMessage((options.errorMessages || {}).equal || ((value) => `Data does not equal ${value}.`), schema.equal)
+				'oneOf',
+				(schema.errors || {}).oneOf || customErrorMessage((options.errorMessages || {}).oneOf || 'Matches more than one of the allowed schemas.')
 			);
 		}
+
+		data = matches[0].data;
+
+	}
+
+	return data;
+
+};
+
+const validateCondition = function*(schema, options, keyPath, validatedData) {
+
+	const { path, is } = schema.when;
+
+	const conditionKeyPath = resolveKeyPath(path, keyPath.slice(options.keyPath.length));
+	const value = valueAtKeyPath(validatedData, conditionKeyPath);
+
+	if (typeof is === 'undefined') return typeof value !== 'undefined' && value !== null;
+
+	return !(yield* validateBranch(value, is, options, options.keyPath.concat(conditionKeyPath), validatedData)).error;
+
+};
+
+const validatePre = function*(data, schema, options, keyPath, validatedData) {
+	data = yield* validateCustom('pre', data, schema, options, keyPath, validatedData);
+	return yield* validatePlugins('pre', data, schema, options, keyPath);
+};
+
+const validatePost = function*(data, schema, options, keyPath, validatedData) {
+	data = yield* validatePlugins('post', data, schema, options, keyPath);
+	return yield* validateCustom('post', data, schema, options, keyPath, validatedData);
+};
+
+// Type validators - objects and arrays are generators, as they validate sub-schemas.
+const typeValidators = {
+	'object': validateObject,
+	'array': validateArray,
+	'string': validateString,
+	'number': validateNumber,
+	'boolean': validateBoolean,
+	'date': validateDate,
+	'file': validateFile
+};
+
+// Builds the validator of a formalized schema. Only the steps used by the schema
+// are added - steps that can also be enabled by options are tested when validating.
+const compileValidator = (schema, compiled) => {
+
+	// Conditions swaps in the schema depending on other data.
+	if (schema.when !== undefined) {
+		return function*(data, options, keyPath, validatedData) {
+			const { then, otherwise } = schema.when;
+			return yield* validateAny(data, (yield* validateCondition(schema, options, keyPath, validatedData)) ? then : otherwise, options, keyPath, validatedData);
+		};
+	}
+
+	const hasPre = schema.pre !== undefined || compiled.plugins.pre.length > 0;
+	const hasPost = schema.post !== undefined || compiled.plugins.post.length > 0;
+	const hasUnions = schema.allOf !== undefined || schema.anyOf !== undefined || schema.oneOf !== undefined;
+
+	let typeValidator;
+
+	if (compiled.typeName !== undefined) {
+		typeValidator = Object.prototype.hasOwnProperty.call(typeValidators, compiled.typeName) ? typeValidators[compiled.typeName] : validateOther;
 	}
 
-	if (schema.type !== undefined) {
-		switch (typeName(schema.type).toLowerCase()) {
-		case 'object':
-			data = await validateObject(data, schema, options, keyPath, validatedData);
-			break;
-		case 'array':
-			data = await validateArray(data, schema, options, keyPath, validatedData);
-			break;
-		case 'string':
-			data = await validateString(data, schema, options, keyPath);
-			break;
-		case 'number':
-			data = await validateNumber(data, schema, options, keyPath);
-			break;
-		case 'boolean':
-			data = await validateBoolean(data, schema, options, keyPath);
-			break;
-		case 'date':
-			data = await validateDate(data, schema, options, keyPath);
-			break;
-		default:
-			data = await validateOther(data, schema, options, keyPath);
-			break;
+	const isGenerator = ['object', 'array'].includes(compiled.typeName);
+	const hasAllOf = schema.allOf !== undefined;
+
+	return function*(data, options, keyPath, validatedData) {
+
+		if (hasPre) data = yield* validatePre(data, schema, options, keyPath, validatedData);
+
+		if (typeof data === 'undefined' || data === null) {
+			if (data === null) {
+				let nul = schema.null || options.defaults.null || 'deny';
+				if (nul === 'undefine') data = undefined;
+				else if (nul === 'allow') return hasPost ? yield* validatePost(data, schema, options, keyPath, validatedData) : data;
+				else throw new ValidationError(
+					keyPath,
+					schema._nonFormalizedSchema,
+					'null',
+					(schema.errors || {}).null || customErrorMessage((options.errorMessages || {}).null || 'Cannot be null.')
+				);
+			}
+			if (typeof schema.default !== 'undefined') {
+				let data = schema.default;
+				if (typeof data === 'function') {
+					data = data(options, validatedData);
+				}
+				data = yield returned(data, schema, 'default', options);
+				return hasPost ? yield* validatePost(data, schema, options, keyPath, validatedData) : data;
+			}
+			if (schema.required === 'implicit') {
+				data = {};
+			} else if (checkBoolValue('required', schema, options.defaults)) {
+				throw new ValidationError(
+					keyPath,
+					schema._nonFormalizedSchema,
+					'required',
+					(schema.errors || {}).required || customErrorMessage((options.errorMessages || {}).required || 'Data is required.')
+				);
+			} else {
+				return hasPost ? yield* validatePost(data, schema, options, keyPath, validatedData) : data;
+			}
+		}
+
+		if (typeof schema.equal !== 'undefined' || typeof options.defaults.equal !== 'undefined') {
+			if (!equals(resolveReference(schema.equal || options.defaults.equal, options, keyPath, validatedData), data)) {
+				throw new ValidationError(
+					keyPath,
+					schema._nonFormalizedSchema,
+					'equal',
+					(schema.errors || {}).equal || customErrorMessage((options.errorMessages || {}).equal || ((value) => `Data does not equal ${value}.`), schema.equal)
+				);
+			}
 		}
+
+		// References are resolved when validated - in order to support recursive schemas.
+		if (schema.$ref !== undefined) {
+			data = yield* validateAny(data, resolve(schema.$ref), options, keyPath, validatedData);
+		}
+
+		// Objects composed by `allOf` may have the keys of all its schemas.
+		const restore = hasAllOf ? compose(data, schema) : undefined;
+
+		try {
+
+			if (isGenerator) data = yield* typeValidator(data, schema, options, keyPath, validatedData);
+			else if (typeValidator !== undefined) data = typeValidator(data, schema, options, keyPath, validatedData);
+
+			// Default enums only applies to strings.
+			if (schema.enum !== undefined || (compiled.typeName === 'string' && options.defaults.enum !== undefined)) {
+				data = validateEnum(data, schema, options, keyPath, validatedData, compiled.typeName);
+			}
+
+			if (hasUnions) data = yield* validateUnions(data, schema, options, keyPath, validatedData);
+
+		} finally {
+			if (restore !== undefined) restore();
+		}
+
+		return hasPost ? yield* validatePost(data, schema, options, keyPath, validatedData) : data;
+
+	};
+
+};
+
+// Comes back with the validation of a schema - using the validator compiled for the schema.
+// Schemas are formalized once for each schema object - as long as no plugins are used
+// and no plugins or transforms are given as options.
+const formalizedSchemas = new WeakMap();
+
+const formalizeCached = (schema, options) => {
+
+	if ((typeof schema !== 'object' && typeof schema !== 'function') || schema === null ||
+		options.plugins !== undefined || options.transform !== undefined || options.force === true) {
+		return formalize(schema, options);
 	}
 
-	return await validatePost(data, schema, options, keyPath, validatedData);
+	const plugins = allPlugins();
+	const key = options.synchronous === true ? 'synchronous' : 'asynchronous';
+
+	let cached = formalizedSchemas.get(schema);
+
+	if (cached === undefined || cached.plugins !== plugins) {
+		cached = { plugins };
+		formalizedSchemas.set(schema, cached);
+	}
+
+	if (cached[key] === undefined) cached[key] = formalize(schema, options);
+
+	return cached[key];
 
 };
 
-export default async (data, schema, options = {}, keyPath = '') => {
+const validateAny = (data, schema, options, keyPath, validatedData) => {
+
+	// If schema is not yet formalized - formalize it first.
+	if (schema._nonFormalizedSchema === undefined) schema = formalizeCached(schema, options);
+
+	return compileSchema(schema).validate(data, options, keyPath, validatedData);
+
+};
+
+// The validators are generators that yield values returned from custom
+// functions - which are awaited when validating asynchronously and must
+// be plain values when validating synchronously.
+const run = async (validation) => {
+
+	let result = validation.next();
+
+	while (!result.done) {
+
+		let value;
+
+		try {
+			value = await result.value;
+		} catch (error) {
+			result = validation.throw(error);
+			continue;
+		}
+
+		result = validation.next(value);
+
+	}
+
+	return result.value;
+
+};
+
+const runSync = (validation) => {
+
+	let result = validation.next();
+
+	while (!result.done) {
+		result = validation.next(result.value);
+	}
+
+	return result.value;
+
+};
+
+// Comes back with the schemas of keys, items, branches and conditions of a formalized schema.
+const subSchemas = (schema) => {
+
+	const compiled = compileSchema(schema);
+
+	let schemas = [];
+
+	if (compiled.typeName === 'object') schemas = Object.values(schema.schema || {});
+	if (compiled.typeName === 'array' && schema.schema) schemas = [schema.schema];
+
+	return schemas
+		.concat(schema.anyOf || [], schema.oneOf || [], schema.allOf || [])
+		.concat(schema.when ? [schema.when.then, schema.when.otherwise, schema.when.is].filter((schema) => schema) : [])
+		.concat(schema.discriminator ? Object.values(schema.discriminator.schemas) : []);
+
+};
+
+// Formalized schemas are not checked when formalized, so the
+// functions of all schemas are checked before validating synchronously.
+const checkSynchronous = (schema) => {
+
+	const compiled = compileSchema(schema);
+
+	if (compiled.synchronous) return;
+
+	const check = (schema, checked) => {
+
+		if (checked.has(schema)) return;
+
+		checked.add(schema);
+
+		const key = asynchronousValidator(schema);
+
+		if (typeof key !== 'undefined') {
+			throw new SchemaError(
+				schema._nonFormalizedSchema,
+				`Validator \`${key}\` is asynchronous and cannot be validated synchronously.`
+			);
+		}
+
+		subSchemas(schema)
+			.concat(typeof schema.$ref !== 'undefined' ? [resolve(schema.$ref)] : [])
+			.forEach((schema) => check(schema, checked));
+
+	};
+
+	check(schema, new Set());
+
+	compiled.synchronous = true;
+
+};
+
+const prepare = (schema, options, keyPath) => {
 
 	if (typeof schema === 'undefined') throw new Error('Missing parameter schema.');
 
@@ -503,6 +1045,92 @@ export default async (data, schema, options = {}, keyPath = '') => {
 	if (!Array.isArray(options.keyPath)) options.keyPath = options.keyPath.split('.');
 	options.defaults = options.defaults || {};
 
-	return await validateAny(data, schema, options, options.keyPath, data);
+	return options;
+
+};
+
+// Validators work in place - so when not mutating they are given a copy of the input.
+const start = (data, schema, options) => {
+	if (options.mutate === false) data = copy(data);
+	return validateAny(data, schema, options, options.keyPath, data);
+};
+
+const validate = async (data, schema, options = {}, keyPath = '') => {
+	return await run(start(data, schema, prepare(schema, options, keyPath)));
+};
+
+validate.sync = (data, schema, options = {}, keyPath = '') => {
+
+	options = prepare(schema, Object.assign({}, options, { synchronous: true }), keyPath);
+	schema = formalizeCached(schema, options);
+
+	checkSynchronous(schema);
+
+	return runSync(start(data, schema, options));
 
 };
+
+validate.safe = async (data, schema, options = {}, keyPath = '') => {
+
+	try {
+		return {
+			ok: true,
+			value: await validate(data, schema, Object.assign({}, options, { aggregatedErrors: 'flatten' }), keyPath),
+			errors: []
+		};
+	} catch (error) {
+
+		// Errors in the schema are reported as errors of the validator `schema`.
+		if (error instanceof SchemaError) {
+			return {
+				ok: false,
+				value: undefined,
+				errors: [{ keyPath: [], validator: 'schema', message: error.message }]
+			};
+		}
+
+		if (!(error instanceof ValidationError)) throw error;
+
+		return {
+			ok: false,
+			value: undefined,
+			errors: flattenErrors(error).map(({ keyPath, validator, message }) => ({ keyPath, validator, message }))
+		};
+
+	}
+
+};
+
+const compileTree = (schema) => {
+	if (compiledSchemas.has(schema)) return;
+	subSchemas(schema).forEach(compileTree);
+};
+
+// Formalizes and compiles a schema into a validator function.
+export const compile = (schema, formalizeOptions = {}) => {
+
+	schema = formalize(schema, formalizeOptions);
+
+	compileTree(schema);
+
+	if (formalizeOptions.synchronous === true) checkSynchronous(schema);
+
+	const validator = async (data, options = {}, keyPath = '') => {
+		return await validate(data, schema, options, keyPath);
+	};
+
+	validator.sync = (data, options = {}, keyPath = '') => {
+		return validate.sync(data, schema, options, keyPath);
+	};
+
+	validator.safe = async (data, options = {}, keyPath = '') => {
+		return await validate.safe(data, schema, options, keyPath);
+	};
+
+	validator.schema = schema;
+
+	return validator;
+
+};
+
+export default validate;
@@ -0,0 +1,73 @@
+//
+// web.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import validate from './validate.js';
+import { compileRequest } from './request.js';
+import ValidationError from './errors/validation.js';
+
+// Converts the entries of `FormData` or `URLSearchParams` into an object - repeated fields become arrays.
+//
+// Keys are defined as properties, so keys like `__proto__` cannot change the prototype of the object.
+export function fromEntries(entries) {
+	return Array.from(entries).reduce((result, [key, value]) => {
+		return Object.defineProperty(result, key, {
+			value: Object.prototype.hasOwnProperty.call(result, key) ? [].concat(result[key], [value]) : value,
+			enumerable: true,
+			writable: true,
+			configurable: true
+		});
+	}, {});
+}
+
+const parseJson = async (message, keyPath) => {
+	const text = await message.text();
+	if (text.length === 0) return;
+	try {
+		return JSON.parse(text);
+	} catch {
+		throw new ValidationError([keyPath], {}, 'type', 'Is not valid JSON.');
+	}
+};
+
+// Parses the body of a `Request` (or `Response`) by its content type - JSON,
+// URL encoded and multipart form data are supported.
+export async function parseBody(message, keyPath = 'body') {
+
+	if (message.body === null) return;
+
+	const contentType = (message.headers.get('content-type') || '').toLowerCase();
+
+	if (/^application\/(.+\+)?json/.test(contentType)) return await parseJson(message, keyPath);
+	if (contentType.startsWith('application/x-www-form-urlencoded')) return fromEntries(new URLSearchParams(await message.text()));
+	if (contentType.startsWith('multipart/form-data')) return fromEntries(await message.formData());
+
+	const text = await message.text();
+
+	return text.length ? text : undefined;
+
+}
+
+// Validates the parts of a `Request` - `query`, `body`, `headers` and `cookies` - and comes back with the validated parts.
+export async function validateRequest(request, schemas, options) {
+
+	const req = {
+		params: {},
+		query: fromEntries(new URL(request.url).searchParams),
+		headers: Object.fromEntries(request.headers)
+	};
+
+	if (typeof schemas.body !== 'undefined') req.body = await parseBody(request);
+
+	return await compileRequest(schemas, options)(req, { request });
+
+}
+
+// Validates the JSON of a `Response` and comes back with the validated data.
+export async function validateResponse(response, schema, options = {}) {
+	return await validate(await parseBody(response, 'response'), schema, Object.assign({}, options, { response }), 'response');
+}
@@ -0,0 +1,207 @@
+//
+// adapters.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import request from 'supertest';
+import { expect } from 'chai';
+import Koa from 'koa';
+import Fastify from 'fastify';
+import { Hono } from 'hono';
+import ValidationError from '../lib/errors/validation.js';
+import AggregatedError from '../lib/errors/aggregated.js';
+import * as koa from '../lib/adapters/koa.js';
+import * as fastify from '../lib/adapters/fastify.js';
+import * as hono from '../lib/adapters/hono.js';
+
+const schemas = {
+	params: { 'id': { type: Number, required: true } },
+	query: { 'page': Number },
+	headers: { 'X-Api-Key': { type: String, required: true } },
+	cookies: { 'session': String }
+};
+
+// Koa has no router or body parser - params and body are provided by the test.
+const koaApp = (middleware, { params = {}, body, files } = {}) => {
+	const app = new Koa();
+	app.silent = true;
+	app.use(async (ctx, next) => {
+		ctx.params = params;
+		ctx.request.body = body;
+		ctx.request.files = files;
+		await next();
+	});
+	app.use(middleware);
+	app.use((ctx) => ctx.body = {
+		validated: ctx.state.validated,
+		params: ctx.params,
+		body: ctx.request.body
+	});
+	return request(app.callback());
+};
+
+describe('adapters', function() {
+	describe('koa', function() {
+		it ('should come back with validated parts in state.', async () => {
+			const res = await koaApp(koa.request(Object.assign({ body: { 'name': String } }, schemas)), {
+				params: { 'id': '1' },
+				body: { 'name': 'test' }
+			})
+				.get('/?page=2')
+				.set('X-Api-Key', 'key')
+				.set('Cookie', 'session=abc')
+				.expect(200);
+			expect(res.body.validated).to.eql({
+				params: { 'id': 1 },
+				query: { 'page': 2 },
+				body: { 'name': 'test' },
+				headers: { 'X-Api-Key': 'key' },
+				cookies: { 'session': 'abc' }
+			});
+			expect(res.body.params).to.have.property('id', 1);
+			expect(res.body.body).to.eql({ 'name': 'test' });
+		});
+		it ('should come back with repeated query keys as arrays.', async () => {
+			const res = await koaApp(koa.query({ 'tag': [String] }))
+				.get('/?tag=a&tag=b')
+				.expect(200);
+			expect(res.body.validated.query).to.eql({ 'tag': ['a', 'b'] });
+		});
+		it ('should come back with uploaded files in body.', async () => {
+			const res = await koaApp(koa.body({ 'name': String, 'avatar': { type: 'file', mimeTypes: ['image/*'] } }), {
+				body: { 'name': 'test' },
+				files: { 'avatar': { originalFilename: 'avatar.png', mimetype: 'image/png', size: 100 } }
+			})
+				.post('/')
+				.expect(200);
+			expect(res.body.body).to.have.property('avatar').to.have.property('originalFilename', 'avatar.png');
+		});
+		it ('should come back with 400 with message of failing part.', async () => {
+			const res = await koaApp(koa.query(schemas.query))
+				.get('/?page=abc')
+				.expect(400);
+			expect(res.text).to.equal('Is not of type number.');
+		});
+		it ('should throw 400 with key path of failing part.', async () => {
+			let error;
+			await koa.query(schemas.query)({ query: { 'page': 'abc' }, headers: {}, request: {}, state: {} }, async () => {})
+				.catch((err) => error = err);
+			expect(error).to.be.instanceOf(ValidationError);
+			expect(error).to.have.property('keyPath').eql(['query', 'page']);
+			expect(error).to.have.property('status', 400);
+			expect(error).to.have.property('expose', true);
+		});
+		it ('should not call next if validation fails.', async () => {
+			await koaApp(koa.body({ type: Object, required: true }))
+				.post('/')
+				.expect(400);
+		});
+	});
+	describe('fastify', function() {
+		const fastifyApp = (schemas) => {
+			const app = Fastify();
+			app.put('/items/:id', { preHandler: fastify.request(schemas) }, async (request) => ({
+				params: request.params,
+				query: request.query,
+				body: request.body
+			}));
+			return app;
+		};
+		it ('should validate request in place.', async () => {
+			const res = await fastifyApp(Object.assign({ body: { 'name': String } }, schemas)).inject({
+				method: 'PUT',
+				url: '/items/1?page=2',
+				headers: { 'x-api-key': 'key', 'cookie': 'session=abc' },
+				payload: { 'name': 'test' }
+			});
+			expect(res.statusCode).to.equal(200);
+			expect(res.json()).to.eql({
+				params: { 'id': 1 },
+				query: { 'page': 2 },
+				body: { 'name': 'test' }
+			});
+		});
+		it ('should come back with 400 if multiple parts fail.', async () => {
+			const res = await fastifyApp(schemas).inject({ method: 'PUT', url: '/items/abc' });
+			expect(res.statusCode).to.equal(400);
+		});
+		it ('should throw aggregated error with status code 400 if multiple parts fail.', async () => {
+			const error = await fastify.request(schemas)({ params: {}, query: {}, headers: {} }, {}).catch((error) => error);
+			expect(error).to.be.instanceOf(AggregatedError);
+			expect(error).to.have.property('statusCode', 400);
+			expect(error.errors.map(({ keyPath }) => keyPath.join('.'))).to.have.members(['params.id', 'headers.X-Api-Key']);
+		});
+		it ('should throw error if part cannot be validated.', () => {
+			expect(() => fastify.request({ files: Object })).to.throw('Request part `files` cannot be validated.');
+		});
+	});
+	describe('hono', function() {
+		it ('should come back with validated data by target.', async () => {
+			const app = new Hono();
+			app.put('/items/:id', hono.request({ params: schemas.params, headers: schemas.headers, body: { 'tags': [String] } }), (c) => c.json({
+				param: c.req.valid('param'),
+				header: c.req.valid('header'),
+				json: c.req.valid('json')
+			}));
+			const res = await app.request('/items/1', {
+				method: 'PUT',
+				headers: { 'X-Api-Key': 'key', 'Content-Type': 'application/json' },
+				body: JSON.stringify({ 'tags': ['a', 'b'] })
+			});
+			expect(res.status).to.equal(200);
+			expect(await res.json()).to.eql({
+				param: { 'id': 1 },
+				header: { 'X-Api-Key': 'key' },
+				json: { 'tags': ['a', 'b'] }
+			});
+		});
+		it ('should come back with repeated query keys as arrays.', async () => {
+			const app = new Hono();
+			app.get('/', hono.query({ 'tag': [String], 'page': Number }), (c) => c.json(c.req.valid('query')));
+			const res = await app.request('/?tag=a&tag=b&page=2');
+			expect(await res.json()).to.eql({ 'tag': ['a', 'b'], 'page': 2 });
+		});
+		it ('should come back with form body if not JSON.', async () => {
+			const app = new Hono();
+			app.post('/', hono.body({ 'count': Number }), (c) => c.json(c.req.valid('form')));
+			const res = await app.request('/', { method: 'POST', body: new URLSearchParams({ 'count': '2' }) });
+			expect(await res.json()).to.eql({ 'count': 2 });
+		});
+		it ('should come back with 400 with key path of failing part.', async () => {
+			const app = new Hono();
+			app.get('/items/:id', hono.params(schemas.params), (c) => c.json(c.req.valid('param')));
+			const res = await app.request('/items/abc');
+			expect(res.status).to.equal(400);
+			expect(res.headers.get('content-type')).to.match(/^application\/problem\+json/);
+			expect(await res.json()).to.have.property('errors').eql([
+				{ keyPath: 'params.id', validator: 'type', message: 'Is not of type number.' }
+			]);
+		});
+		it ('should come back with 400 if JSON body is malformed.', async () => {
+			const app = new Hono();
+			app.post('/', hono.body({ 'count': Number }), (c) => c.json(c.req.valid('json')));
+			const res = await app.request('/', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+			expect(res.status).to.equal(400);
+			expect(await res.json()).to.have.property('errors').eql([
+				{ keyPath: 'body', validator: 'type', message: 'Is not valid JSON.' }
+			]);
+		});
+		it ('should come back with body readable by route.', async () => {
+			const app = new Hono();
+			app.post('/', hono.body({ 'count': Number }), async (c) => c.json(await c.req.json()));
+			const res = await app.request('/', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"count":"2"}' });
+			expect(await res.json()).to.eql({ 'count': '2' });
+		});
+		it ('should throw validation error to error handler.', async () => {
+			const app = new Hono();
+			app.onError((error, c) => c.json({ validation: error instanceof ValidationError, status: error.status }, 422));
+			app.get('/items/:id', hono.params(schemas.params), (c) => c.json(c.req.valid('param')));
+			const res = await app.request('/items/abc');
+			expect(res.status).to.equal(422);
+			expect(await res.json()).to.eql({ validation: true, status: 400 });
+		});
+	});
+});
@@ -7,7 +7,7 @@
 //
 
 import { expect } from 'chai';
-import equals from '../lib/equals.js';
+import equals, { strict } from '../lib/equals.js';
 
 describe('equals', function() {
 	it('should return false if data is not of the same type (null).', () => {
@@ -78,4 +78,23 @@ describe('equals', function() {
 			obj: ['This','is','another','array']
 		})).to.eventually.be.false;
 	});
+	it('should not sort arrays when compared.', async () => {
+		const arr1 = [3, 1, 2];
+		const arr2 = [1, 2, 3];
+		expect(await equals(arr1, arr2)).to.be.true;
+		expect(arr1).to.eql([3, 1, 2]);
+	});
+	describe('strict', function() {
+		it('should return false if arrays are in another order.', () => {
+			expect(strict(['a', 'b'], ['b', 'a'])).to.be.false;
+		});
+		it('should return true if dates have the same time.', () => {
+			expect(strict(new Date(5), new Date(5))).to.be.true;
+			expect(strict(new Date(5), new Date(6))).to.be.false;
+		});
+		it('should return true if objects are equal.', () => {
+			expect(strict({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).to.be.true;
+			expect(strict({ a: 1 }, { b: 1 })).to.be.false;
+		});
+	});
 });
@@ -52,6 +52,12 @@ describe('schema', function() {
 				.to.have.property('errors')
 				.to.have.property('enum', 'Must be this or test.');
 		});
+		it ('should throw error if type is Number and enum is not array of numbers.', () => {
+			expect(f({ type: Number, enum: [1, '2'] })).to.throw(SchemaError, 'Validator `enum` must have values of type number.');
+		});
+		it ('should come back with enum of mixed literals if type is not set.', () => {
+			expect(formalize({ enum: ['auto', 0] })).to.have.property('enum').eql(['auto', 0]);
+		});
 		it('should come back with enum allowed if it is an object.', () => {
 			expect(formalize({ type: String, enum: { this: 'this is', test: 'a test' } }))
 				.to.have.property('enum')
@@ -157,6 +163,20 @@ describe('schema', function() {
 		it('should come back with no error and match set if match is RegExp.', () => {
 			expect(formalize({ type: String, match: /test/ })).to.have.property('match');
 		});
+		it ('should come back with patterns if match is an array.', () => {
+			expect(formalize({ type: String, match: [/a/, [/b/, 'B'], { pattern: /c/ }] }).match).to.eql([
+				{ pattern: /a/ }, { pattern: /b/, message: 'B' }, { pattern: /c/, message: undefined }
+			]);
+		});
+		it ('should come back with single pattern and error if match is a pattern and a message.', () => {
+			const schema = formalize({ type: String, notMatch: [/a/, 'No a.'] });
+			expect(schema).to.have.property('notMatch').eql(/a/);
+			expect(schema).to.have.property('errors').to.have.property('notMatch', 'No a.');
+		});
+		it ('should throw error if match is an empty array or has non-RegExp patterns.', () => {
+			expect(f({ type: String, match: [] })).to.throw(SchemaError);
+			expect(f({ type: String, notMatch: ['a', 'b', 'c'] })).to.throw(SchemaError);
+		});
 		it('should come back with post wrapped in an array.', () => {
 			expect(formalize({ post: function() {} })).to.have.property('post').to.be.an('array');
 		});
@@ -180,6 +200,11 @@ describe('schema', function() {
 			expect(s).to.have.property('errors').to.have.property('type').equal('Boolean.');
 			expect(s).to.have.property('errors').to.have.property('required').equal('Required.');
 		});
+		it ('should throw error if type is an array of types.', () => {
+			expect(f({ type: [String, Number] })).to.throw(SchemaError, 'use `anyOf`');
+			expect(f({ type: ['string', 'number'] })).to.throw(SchemaError, 'use `anyOf`');
+			expect(f({ type: [String, Number, 'Must be a string or a number.'] })).to.throw(SchemaError, 'use `anyOf`');
+		});
 		it('should come back with equal formalized.', () => {
 			expect(formalize({
 				equal: '123'
@@ -199,6 +224,15 @@ describe('schema', function() {
 		it ('should throw error if array len is negative.', () => {
 			expect(f({ type: Array, len: '-2-' })).to.throw(SchemaError);
 		});
+		it ('should come back with file count formalized.', () => {
+			expect(formalize({ type: 'file', count: '1-3' })).to.have.property('count').eql([{ lower: 1, upper: 3 }]);
+		});
+		it ('should throw error if file validators are not valid.', () => {
+			expect(f({ type: 'file', maxSize: -1 })).to.throw(SchemaError);
+			expect(f({ type: 'file', mimeTypes: [] })).to.throw(SchemaError);
+			expect(f({ type: 'file', extensions: [1] })).to.throw(SchemaError);
+			expect(f({ type: String, maxSize: 1 })).to.throw(SchemaError);
+		});
 		it ('should throw error if validator is not supported', () => {
 			expect(f({ type: String, nonExistingValidator: 'myValue' })).to.throw(SchemaError);
 		});
@@ -210,5 +244,75 @@ describe('schema', function() {
 		it ('should throw error if string match is not a regular expression', () => {
 			expect(f({ type: String, match: 'test' })).to.throw(SchemaError);
 		});
+		it ('should come back with union branches formalized.', () => {
+			const s = formalize({ anyOf: [String, { 'a': Number }] });
+			expect(s).to.not.have.property('type');
+			expect(s).to.have.property('anyOf').to.have.length(2);
+			expect(s.anyOf[0]).to.have.property('type').equal(String);
+			expect(s.anyOf[1]).to.have.property('type').equal(Object);
+			expect(s.anyOf[1]).to.have.property('schema').to.have.property('a').to.have.property('type').equal(Number);
+		});
+		it ('should not mistake two array branches for an error shortcut.', () => {
+			const s = formalize({ oneOf: [[String], [Number]] });
+			expect(s).to.not.have.property('errors');
+			expect(s).to.have.property('oneOf').to.have.length(2);
+		});
+		it ('should not mistake an array branch and a type branch for an error shortcut.', () => {
+			const s = formalize({ anyOf: [[Number], String] });
+			expect(s).to.not.have.property('errors');
+			expect(s).to.have.property('anyOf').to.have.length(2);
+			expect(s.anyOf[1]).to.have.property('type').equal(String);
+		});
+		it ('should throw error if union is not an array.', () => {
+			expect(f({ type: Object, anyOf: String })).to.throw(SchemaError);
+		});
+		it ('should throw error if union has no schemas.', () => {
+			expect(f({ type: Object, oneOf: [] })).to.throw(SchemaError);
+		});
+		it ('should come back with object shortcut if keys have names of validators but are not shaped like them.', () => {
+			['anyOf', 'oneOf', 'allOf', '$ref', 'enum', 'when'].forEach((key) => {
+				const s = formalize({ [key]: String, 'other': String });
+				expect(s).to.have.property('type').equal(Object);
+				expect(s.schema).to.have.property(key).to.have.property('type').equal(String);
+			});
+			expect(formalize({ anyOf: [String] }).schema).to.have.property('anyOf').to.have.property('type').equal(Array);
+			expect(formalize({ enum: { 'a': String } }).schema).to.have.property('enum').to.have.property('type').equal(Object);
+			expect(formalize({ when: { 'date': Date } }).schema).to.have.property('when').to.have.property('type').equal(Object);
+		});
+		it ('should come back with discriminator schemas formalized.', () => {
+			const s = formalize({ type: Object, discriminator: { key: 'kind', schemas: { created: { 'id': String } } } });
+			expect(s).to.not.have.property('schema');
+			expect(s).to.have.property('discriminator').to.have.property('key', 'kind');
+			expect(s.discriminator.schemas.created).to.have.property('type').equal(Object);
+		});
+		it ('should throw error if discriminator has no key.', () => {
+			expect(f({ type: Object, discriminator: { schemas: { created: {} } } })).to.throw(SchemaError);
+		});
+		it ('should throw error if discriminator has no schemas.', () => {
+			expect(f({ type: Object, discriminator: { key: 'kind', schemas: {} } })).to.throw(SchemaError);
+		});
+		it ('should throw error if discriminator schema is not an object.', () => {
+			expect(f({ type: Object, discriminator: { key: 'kind', schemas: { created: String } } })).to.throw(SchemaError);
+		});
+		it ('should come back with conditions formalized.', () => {
+			const s = formalize({ type: String, when: { path: '../a', is: Boolean, then: { required: true } } });
+			expect(s).to.have.property('type').equal(String);
+			expect(s.when).to.have.property('is').to.have.property('required', true);
+			expect(s.when).to.have.property('then').to.have.property('required', true);
+			expect(s.when).to.have.property('then').to.not.have.property('when');
+			expect(s.when).to.have.property('otherwise').to.have.property('type').equal(String);
+		});
+		it ('should throw error if condition has no path.', () => {
+			expect(f({ type: String, when: { then: { required: true } } })).to.throw(SchemaError);
+		});
+		it ('should throw error if condition has neither then nor otherwise.', () => {
+			expect(f({ type: String, when: { path: 'a' } })).to.throw(SchemaError);
+		});
+		it ('should throw error if condition then is not an object.', () => {
+			expect(f({ type: String, when: { path: 'a', then: String } })).to.throw(SchemaError);
+		});
+		it ('should throw error if discriminator is used together with schema.', () => {
+			expect(f({ type: Object, schema: {}, discriminator: { key: 'kind', schemas: { created: {} } } })).to.throw(SchemaError);
+		});
 	});
 });
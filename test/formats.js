@@ -0,0 +1,64 @@
+//
+// formats.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import { define, test } from '../lib/formats.js';
+import SchemaError from '../lib/errors/schema.js';
+
+const formats = {
+	'email': [['john.doe+test@example.com', 'a@b.co'], ['john', 'john@example', 'john doe@example.com']],
+	'uuid': [['123e4567-e89b-12d3-a456-426614174000', '01890a5d-ac96-774b-bcce-b302099a8057'], ['123e4567-e89b-92d3-a456-426614174000', '123e4567e89b12d3a456426614174000']],
+	'uri': [['https://example.com/a?b=c', 'mailto:john@example.com', 'urn:isbn:0451450523'], ['example.com', 'https://exa mple.com']],
+	'url': [['https://example.com', 'http://localhost:8080/a'], ['mailto:john@example.com', 'ftp://example.com', 'http://']],
+	'hostname': [['example.com', 'localhost', 'a-b.example.com'], ['-example.com', 'example-.com', 'exa_mple.com', `${'a'.repeat(64)}.com`]],
+	'ipv4': [['127.0.0.1', '255.255.255.255'], ['256.0.0.1', '1.2.3', '01.2.3.4']],
+	'ipv6': [['::', '::1', '2001:db8::8a2e:370:7334', '1:2:3:4:5:6:7:8', '::ffff:192.168.0.1'], ['1::2::3', '1:2:3:4:5:6:7:8:9', '12345::', '::ffff:192.168.0.256']],
+	'cidr': [['10.0.0.0/8', '2001:db8::/32'], ['10.0.0.0', '10.0.0.0/33', '2001:db8::/129', '10.0.0.0/08']],
+	'date': [['2024-02-29', '2023-12-31'], ['2023-02-29', '2023-13-01', '2023-1-1']],
+	'date-time': [['2024-02-29T12:00:00Z', '2024-01-01t23:59:60.123+02:00'], ['2024-01-01', '2024-01-01T24:00:00Z', '2024-01-01T12:00:00']],
+	'duration': [['P1Y2M3DT4H5M6S', 'PT0.5S', 'P2W'], ['P', 'PT', 'P1H', '1D']],
+	'semver': [['1.2.3', '1.0.0-alpha.1+build.5'], ['1.2', '01.2.3', '1.2.3-']],
+	'slug': [['my-post-1'], ['My-Post', 'my--post', '-my-post']],
+	'hex-color': [['#fff', '#FFFA', '#a1b2c3', '#a1b2c3d4'], ['fff', '#ff', '#ggg']]
+};
+
+describe('formats', function() {
+	Object.keys(formats).forEach((name) => {
+		const [valid, invalid] = formats[name];
+		it (`should come back with true for valid ${name}.`, () => {
+			valid.forEach((value) => expect(test(name, value), value).to.equal(true));
+		});
+		it (`should come back with false for invalid ${name}.`, () => {
+			invalid.forEach((value) => expect(test(name, value), value).to.equal(false));
+		});
+	});
+	it ('should throw error if format is not defined.', () => {
+		expect(() => test('unknown', 'test')).to.throw(SchemaError, 'Format with name "unknown" is not defined.');
+	});
+	it ('should come back with custom format of regular expression.', () => {
+		define('formats-zip', /^\d{4}$/);
+		expect(test('formats-zip', '1234')).to.equal(true);
+		expect(test('formats-zip', '123')).to.equal(false);
+	});
+	it ('should come back with custom format of function.', () => {
+		define('formats-even', (value) => value.length % 2 === 0);
+		expect(test('formats-even', 'ab')).to.equal(true);
+		expect(test('formats-even', 'abc')).to.equal(false);
+	});
+	it ('should throw error if format is already defined.', () => {
+		expect(() => define('email', /@/)).to.throw(Error, 'Format with name "email" already exists.');
+		expect(() => define('email', /@/, { conflict: 'ignore' })).to.not.throw();
+	});
+	it ('should define formats with names of properties of objects.', () => {
+		expect(() => define('constructor', /^x$/)).to.not.throw();
+		expect(test('constructor', 'x')).to.equal(true);
+	});
+	it ('should throw error if format is not a regular expression or function.', () => {
+		expect(() => define('formats-invalid', 'abc')).to.throw(Error);
+	});
+});
@@ -28,6 +28,7 @@ use('utils', (utils) => {
 });
 
 import './ranges.js';
+import './formats.js';
 import './equals.js';
 import './unique.js';
 import './formalize.js';
@@ -35,3 +36,10 @@ import './validate.js';
 import './middleware/index.js';
 import './key-paths.js';
 import './merge.js';
+import './registry.js';
+import './references.js';
+import './json-schema.js';
+import './openapi.js';
+import './typescript.js';
+import './adapters.js';
+import './web.js';
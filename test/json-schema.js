@@ -0,0 +1,299 @@
+//
+// json-schema.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import { toJsonSchema, fromJsonSchema } from '../lib/json-schema.js';
+import isvalid from '../index.js';
+import { define } from '../lib/registry.js';
+import { ref } from '../lib/references.js';
+import ValidationError from '../lib/errors/validation.js';
+import SchemaError from '../lib/errors/schema.js';
+
+describe('json schema', function() {
+	describe('export', function() {
+		it ('should come back with dialect.', () => {
+			expect(toJsonSchema(String)).to.eql({
+				$schema: 'https://json-schema.org/draft/2020-12/schema',
+				type: 'string'
+			});
+		});
+		it ('should come back with types.', () => {
+			expect(toJsonSchema({
+				'a': String,
+				'b': Number,
+				'c': Boolean,
+				'd': Date,
+				'e': [String]
+			}).properties).to.eql({
+				'a': { type: 'string' },
+				'b': { type: 'number' },
+				'c': { type: 'boolean' },
+				'd': { type: 'string', format: 'date-time' },
+				'e': { type: 'array', items: { type: 'string' } }
+			});
+		});
+		it ('should come back with required keys.', () => {
+			expect(toJsonSchema({
+				'a': { type: String, required: true },
+				'b': { type: String, required: true, default: 'test' },
+				'c': { 'd': { type: String, required: true } },
+				'e': String
+			})).to.include({ type: 'object' }).and.to.have.property('required').eql(['a', 'c']);
+		});
+		it ('should come back with required keys from defaults.', () => {
+			expect(toJsonSchema({ 'a': String }, { defaults: { required: true } }))
+				.to.have.property('required').eql(['a']);
+		});
+		it ('should come back with additional properties depending on unknown keys.', () => {
+			expect(toJsonSchema({ 'a': String })).to.have.property('additionalProperties', false);
+			expect(toJsonSchema({ type: Object, unknownKeys: 'allow', schema: { 'a': String } })).to.not.have.property('additionalProperties');
+			expect(toJsonSchema({ type: Object, unknownKeys: 'remove', schema: { 'a': String } })).to.not.have.property('additionalProperties');
+		});
+		it ('should come back with string validators.', () => {
+			expect(toJsonSchema({ type: String, len: '2-8', lenUnit: 'code-points', match: /^[a-z]+$/ })).to.include({
+				minLength: 2,
+				maxLength: 8,
+				pattern: '^[a-z]+$'
+			});
+		});
+		it ('should come back with only maximum length of code units.', () => {
+			expect(toJsonSchema({ type: String, len: '2-8' })).to.eql({ $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'string', maxLength: 8 });
+			expect(() => toJsonSchema({ type: String, len: '2-8' }, { unsupported: 'fail' })).to.throw(SchemaError);
+			expect(() => toJsonSchema({ type: String, len: '-8' }, { unsupported: 'fail' })).to.not.throw();
+		});
+		it ('should leave out patterns with flags.', () => {
+			expect(toJsonSchema({ type: String, match: [/abc/i, /^a/], notMatch: /b/m })).to.eql({ $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'string', pattern: '^a' });
+			expect(toJsonSchema({ type: String, match: /abc/u })).to.have.property('pattern', 'abc');
+			expect(() => toJsonSchema({ type: String, match: /abc/i }, { unsupported: 'fail' })).to.throw(SchemaError);
+		});
+		it ('should come back with multiple patterns and negated patterns.', () => {
+			expect(toJsonSchema({ type: String, match: [/a/, /b/], notMatch: /c/ })).to.deep.include({
+				type: 'string',
+				pattern: 'a',
+				allOf: [{ pattern: 'b' }],
+				not: { pattern: 'c' }
+			});
+			expect(toJsonSchema({ type: String, notMatch: [/a/, /b/] })).to.have.property('not').eql({ anyOf: [{ pattern: 'a' }, { pattern: 'b' }] });
+		});
+		it ('should come back with enum.', () => {
+			expect(toJsonSchema({ type: String, enum: { 'a': 'A', 'b': 'B' } })).to.have.property('enum').eql(['a', 'b']);
+			expect(toJsonSchema({ type: Number, enum: [1, 2] })).to.deep.include({ type: 'number', enum: [1, 2] });
+			expect(toJsonSchema({ enum: ['auto', 0] })).to.have.property('enum').eql(['auto', 0]);
+		});
+		it ('should come back with open ended ranges.', () => {
+			expect(toJsonSchema({ type: Number, range: '(-2)-' })).to.eql({
+				$schema: 'https://json-schema.org/draft/2020-12/schema',
+				type: 'number',
+				minimum: -2
+			});
+		});
+		it ('should come back with multiple ranges.', () => {
+			expect(toJsonSchema({ type: Number, range: '-2,4-6,8' })).to.have.property('anyOf').eql([
+				{ maximum: 2 },
+				{ minimum: 4, maximum: 6 },
+				{ minimum: 8, maximum: 8 }
+			]);
+		});
+		it ('should come back with array validators.', () => {
+			expect(toJsonSchema({ type: Array, len: '1-', unique: true, schema: Number })).to.include({
+				minItems: 1,
+				uniqueItems: true
+			});
+		});
+		it ('should come back with files as binary strings.', () => {
+			expect(toJsonSchema({ type: 'file', maxSize: 1024 })).to.include({ type: 'string', format: 'binary' });
+			expect(toJsonSchema({ type: 'file', count: '-3' })).to.include({ type: 'array', maxItems: 3 })
+				.and.to.have.property('items').eql({ type: 'string', format: 'binary' });
+			expect(() => toJsonSchema({ type: 'file', mimeTypes: ['image/*'] }, { unsupported: 'fail' }))
+				.to.throw(SchemaError, 'Validator `mimeTypes` cannot be exported to JSON Schema.');
+		});
+		it ('should leave out length of graphemes and bytes.', () => {
+			expect(toJsonSchema({ type: String, len: '-8', lenUnit: 'code-points' })).to.have.property('maxLength', 8);
+			expect(toJsonSchema({ type: String, len: '-8', lenUnit: 'bytes' })).to.not.have.property('maxLength');
+			expect(() => toJsonSchema({ type: String, len: '-8', lenUnit: 'graphemes' }, { unsupported: 'fail' })).to.throw(SchemaError);
+		});
+		it ('should come back with format.', () => {
+			expect(toJsonSchema({ type: String, format: 'uuid' })).to.include({ type: 'string', format: 'uuid' });
+		});
+		it ('should come back with integer if floats are denied.', () => {
+			expect(toJsonSchema({ type: Number, float: 'deny' })).to.have.property('type', 'integer');
+			expect(toJsonSchema({ type: Number, float: 'round' })).to.have.property('type', 'number');
+		});
+		it ('should come back with null allowed.', () => {
+			expect(toJsonSchema({ type: String, null: 'allow', enum: ['a'] })).to.include.keys('type', 'enum')
+				.and.to.deep.include({ type: ['string', 'null'], enum: ['a', null] });
+		});
+		it ('should come back with null allowed when null is undefined and not required.', () => {
+			expect(toJsonSchema({ type: String, null: 'undefine' })).to.have.property('type').eql(['string', 'null']);
+			expect(toJsonSchema({ type: String, null: 'undefine', required: true })).to.have.property('type', 'string');
+		});
+		it ('should come back with static defaults only.', () => {
+			expect(toJsonSchema({ type: String, default: 'test' })).to.have.property('default', 'test');
+			expect(toJsonSchema({ type: String, default: () => 'test' })).to.not.have.property('default');
+		});
+		it ('should come back with equal as const.', () => {
+			expect(toJsonSchema({ type: String, equal: 'test' })).to.have.property('const', 'test');
+		});
+		it ('should come back with unions.', () => {
+			expect(toJsonSchema({ anyOf: [String, Number] })).to.have.property('anyOf').eql([
+				{ type: 'string' },
+				{ type: 'number' }
+			]);
+		});
+		it ('should come back with both unions and multiple ranges.', () => {
+			expect(toJsonSchema({ type: Number, range: '1,3', anyOf: [{ type: Number, float: 'deny' }] })).to.include.keys('anyOf', 'allOf');
+		});
+		it ('should come back with discriminated schemas.', () => {
+			expect(toJsonSchema({ type: Object, discriminator: { key: 'kind', schemas: { 'created': { 'id': String } } } }))
+				.to.have.property('oneOf').eql([{
+					type: 'object',
+					properties: { 'id': { type: 'string' }, 'kind': { const: 'created' } },
+					required: ['kind'],
+					additionalProperties: false
+				}]);
+		});
+		it ('should come back with condition branches.', () => {
+			expect(toJsonSchema({ type: String, when: { path: '../a', then: { len: '2-', lenUnit: 'code-points' } } })).to.have.property('anyOf').eql([
+				{ type: 'string', minLength: 2 },
+				{ type: 'string' }
+			]);
+		});
+		it ('should come back with named schemas as definitions.', () => {
+			define('JsonSchemaNode', {
+				'name': String,
+				'children': [{ $ref: 'JsonSchemaNode' }]
+			});
+			const schema = toJsonSchema({ $ref: 'JsonSchemaNode' });
+			expect(schema).to.have.property('$ref', '#/$defs/JsonSchemaNode');
+			expect(schema).to.have.property('$defs').to.have.property('JsonSchemaNode').to.have.property('properties')
+				.to.have.property('children').eql({ type: 'array', items: { $ref: '#/$defs/JsonSchemaNode' } });
+		});
+		it ('should leave out functions and plugins.', () => {
+			expect(toJsonSchema({ type: String, post: () => {}, ensureCase: 'camel' })).to.eql({
+				$schema: 'https://json-schema.org/draft/2020-12/schema',
+				type: 'string'
+			});
+		});
+		it ('should leave out references.', () => {
+			expect(toJsonSchema({ type: Number, range: ref('../max') })).to.not.have.property('maximum');
+		});
+		it ('should throw error on functions and plugins if unsupported is fail.', () => {
+			expect(() => toJsonSchema({ type: String, post: () => {} }, { unsupported: 'fail' }))
+				.to.throw(SchemaError, 'Validator `post` cannot be exported to JSON Schema.');
+			expect(() => toJsonSchema({ type: String, ensureCase: 'camel' }, { unsupported: 'fail' }))
+				.to.throw(SchemaError, 'Validator `ensureCase` cannot be exported to JSON Schema.');
+		});
+		it ('should throw error on custom types if unsupported is fail.', () => {
+			expect(() => toJsonSchema(RegExp, { unsupported: 'fail' })).to.throw(SchemaError);
+		});
+	});
+	describe('import', function() {
+		const schema = () => fromJsonSchema({
+			$schema: 'https://json-schema.org/draft/2020-12/schema',
+			title: 'User',
+			type: 'object',
+			properties: {
+				'name': { type: 'string', minLength: 1, maxLength: 32, pattern: '^[a-z]+$' },
+				'age': { type: 'integer', minimum: 0 },
+				'role': { type: 'string', enum: ['admin', 'user'], default: 'user' },
+				'tags': { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 2 },
+				'nickname': { type: 'string', nullable: true },
+				'created': { type: 'string', format: 'date-time' }
+			},
+			required: ['name'],
+			additionalProperties: false
+		});
+		it ('should come back with a formalized schema.', () => {
+			const s = schema();
+			expect(s).to.have.property('type').equal(Object);
+			expect(s).to.have.property('unknownKeys', 'deny');
+			expect(s.schema.name).to.include({ type: String, required: true });
+			expect(s.schema.name).to.have.property('lenUnit', 'code-points');
+			expect(s.schema.name).to.have.property('len').eql([{ lower: 1, upper: 32 }]);
+			expect(s.schema.name).to.have.property('match').eql(/^[a-z]+$/);
+			expect(s.schema.age).to.include({ type: Number, float: 'deny', required: false });
+			expect(s.schema.age).to.have.property('range').eql([{ lower: 0, upper: Infinity }]);
+			expect(s.schema.role).to.include({ type: String, default: 'user' });
+			expect(s.schema.tags).to.include({ type: Array, unique: true });
+			expect(s.schema.tags.schema).to.have.property('type').equal(String);
+			expect(s.schema.nickname).to.have.property('null', 'allow');
+			expect(s.schema.created).to.have.property('type').equal(Date);
+		});
+		it ('should come back with validated data.', () => {
+			return expect(isvalid({ name: 'john', age: '42', nickname: null }, schema()))
+				.to.eventually.eql({ name: 'john', age: 42, role: 'user', nickname: null });
+		});
+		it ('should come back with error if data is invalid.', () => {
+			return expect(isvalid({ name: 'john', tags: ['a', 'a'] }, schema()))
+				.to.eventually.be.rejectedWith(ValidationError)
+				.and.to.have.property('validator', 'unique');
+		});
+		it ('should allow unknown keys if additional properties is not provided.', () => {
+			expect(fromJsonSchema({ type: 'object' })).to.have.property('unknownKeys', 'allow');
+		});
+		it ('should come back with null allowed if type includes null.', () => {
+			expect(fromJsonSchema({ type: ['string', 'null'] })).to.include({ type: String, null: 'allow' });
+		});
+		it ('should come back with union of multiple types.', async () => {
+			const s = fromJsonSchema({ type: ['string', 'number'], minLength: 2 });
+			expect(s).to.have.property('anyOf').to.have.length(2);
+			expect(await isvalid(1, s)).to.equal(1);
+			await expect(isvalid('a', s)).to.be.rejectedWith(ValidationError);
+		});
+		it ('should come back with type inferred from enum.', async () => {
+			const s = fromJsonSchema({ enum: [1, 2] });
+			expect(s).to.have.property('type').equal(Number);
+			expect(s).to.have.property('enum').eql([1, 2]);
+			expect(await isvalid(2, s)).to.equal(2);
+			await expect(isvalid(3, s)).to.be.rejectedWith(ValidationError);
+		});
+		it ('should come back with const as equal.', () => {
+			expect(fromJsonSchema({ const: 'test' })).to.include({ type: String, equal: 'test' });
+		});
+		it ('should come back with unions.', () => {
+			expect(fromJsonSchema({ oneOf: [{ type: 'string' }, { type: 'boolean' }] }))
+				.to.have.property('oneOf').to.have.length(2);
+		});
+		it ('should come back with the schema of unions of one schema.', () => {
+			expect(fromJsonSchema({ allOf: [{ type: 'string', minLength: 2 }] })).to.include({ type: String }).and.to.not.have.property('allOf');
+		});
+		it ('should come back with the same schema when exported and imported.', () => {
+			const exported = toJsonSchema({
+				'a': { type: String, required: true, len: '1-', lenUnit: 'code-points', enum: ['x', 'y'] },
+				'b': [{ type: Number, range: '0-10' }]
+			});
+			expect(toJsonSchema(fromJsonSchema(exported))).to.eql(exported);
+		});
+		it ('should throw error if keyword is not supported.', () => {
+			expect(() => fromJsonSchema({ type: 'number', multipleOf: 2 }))
+				.to.throw(SchemaError, 'Keyword `multipleOf` is not supported.');
+		});
+		it ('should throw error if keyword does not belong to type.', () => {
+			expect(() => fromJsonSchema({ type: 'string', minimum: 2 }))
+				.to.throw(SchemaError, 'Keyword `minimum` is not supported.');
+		});
+		it ('should throw error if additional properties is a schema.', () => {
+			expect(() => fromJsonSchema({ type: 'object', additionalProperties: { type: 'string' } })).to.throw(SchemaError);
+		});
+		it ('should throw error if items is an array.', () => {
+			expect(() => fromJsonSchema({ type: 'array', items: [{ type: 'string' }] })).to.throw(SchemaError);
+		});
+		it ('should throw error if format is not supported.', () => {
+			expect(() => fromJsonSchema({ type: 'string', format: 'iri' })).to.throw(SchemaError);
+		});
+		it ('should come back with format.', () => {
+			expect(fromJsonSchema({ type: 'string', format: 'email' })).to.have.property('format', 'email');
+		});
+		it ('should throw error if required key is not in properties.', () => {
+			expect(() => fromJsonSchema({ type: 'object', required: ['a'] })).to.throw(SchemaError);
+		});
+		it ('should throw error if there is no type.', () => {
+			expect(() => fromJsonSchema({ description: 'Anything.' })).to.throw(SchemaError);
+		});
+	});
+});
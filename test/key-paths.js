@@ -90,6 +90,14 @@ describe('keyPaths', () => {
 			}
 		}).get('second.second')).to.have.property('type').equal(String);
 	});
+	it ('should come back with key paths of all schemas of discriminator.', () => {
+		const schema = { 'event': { type: Object, discriminator: { key: 'kind', schemas: {
+			'created': { 'id': String },
+			'deleted': { 'id': String, 'reason': { 'text': String } }
+		} } } };
+		expect(keyPaths(schema).all()).to.eql(['', 'event', 'event.id', 'event.reason', 'event.reason.text']);
+		expect(keyPaths(schema).get('event.reason.text')).to.have.property('type').equal(String);
+	});
 	it ('should come back with root.', () => {
 		expect(keyPaths(String).get('')).to.have.property('type').equal(String);
 	});
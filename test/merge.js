@@ -8,6 +8,7 @@
 
 import { expect } from 'chai';
 import merge from '../lib/merge.js';
+import SchemaError from '../lib/errors/schema.js';
 
 describe('merge', () => {
 	it ('should come back with destination type.', () => {
@@ -35,4 +36,29 @@ describe('merge', () => {
 		expect(Object.keys(result.schema)).to.eql(['this','is','a','test']);
 		expect(result.schema.is).to.have.property('required').equal(true);
 	});
+	describe('discriminator', function() {
+		const discriminated = { type: Object, discriminator: { key: 'kind', schemas: {
+			'created': { 'id': String },
+			'deleted': { 'id': String, 'reason': String }
+		} } };
+		it ('should come back with object merged into all schemas.', () => {
+			[merge(discriminated).with({ 'at': Date }), merge({ 'at': Date }).with(discriminated)].forEach((result) => {
+				expect(result).to.not.have.property('schema');
+				expect(result.discriminator).to.have.property('key', 'kind');
+				expect(Object.keys(result.discriminator.schemas.created.schema)).to.have.members(['id', 'at']);
+				expect(Object.keys(result.discriminator.schemas.deleted.schema)).to.have.members(['id', 'reason', 'at']);
+			});
+		});
+		it ('should come back with schemas of discriminators merged.', () => {
+			const result = merge(discriminated).with({ type: Object, discriminator: { key: 'kind', schemas: {
+				'created': { 'id': { type: String, required: true } },
+				'updated': { 'id': String }
+			} } });
+			expect(result.discriminator.schemas).to.have.keys('created', 'deleted', 'updated');
+			expect(result.discriminator.schemas.created.schema.id).to.have.property('required', true);
+		});
+		it ('should throw error if discriminators have different keys.', () => {
+			expect(() => merge(discriminated).with({ type: Object, discriminator: { key: 'type', schemas: { 'a': {} } } })).to.throw(SchemaError);
+		});
+	});
 });
@@ -9,7 +9,7 @@
 import request from 'supertest';
 import { expect } from 'chai';
 
-import app from './tools/server.js';
+import app, { logged } from './tools/server.js';
 
 describe('middleware', function() {
 
@@ -109,4 +109,277 @@ describe('middleware', function() {
 
 	});
 
+	describe('headers validator', function() {
+
+		it ('should come back with 400 if required header is missing.', function(done) {
+			request(app)
+				.get('/headers')
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('error').equal('validation-error');
+					expect(res.body).to.have.property('keyPath').equal('headers.X-Api-Key');
+					done(err);
+				});
+		});
+
+		it ('should come back with 400 if header does not match schema.', function(done) {
+			request(app)
+				.get('/headers')
+				.set('x-api-key', 'NOT-VALID')
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('headers.X-Api-Key');
+					done(err);
+				});
+		});
+
+		it ('should come back with 200 and validated headers if headers match schema.', function(done) {
+			request(app)
+				.get('/headers')
+				.set('X-API-KEY', 'abc123')
+				.set('Accept-Language', 'en, da')
+				.expect(200, function(err, res) {
+					expect(res.body).to.eql({ key: 'abc123', page: 1, languages: ['en', 'da'] });
+					done(err);
+				});
+		});
+
+	});
+
+	describe('cookies validator', function() {
+
+		it ('should come back with 400 if cookie does not match schema.', function(done) {
+			request(app)
+				.get('/cookies')
+				.set('Cookie', 'session=abc; count=abc')
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('cookies.count');
+					done(err);
+				});
+		});
+
+		it ('should come back with 200 and validated cookies if cookies match schema.', function(done) {
+			request(app)
+				.get('/cookies')
+				.set('Cookie', 'session=abc%20def; count=2; other=value')
+				.expect(200, function(err, res) {
+					expect(res.body).to.eql({ session: 'abc def', count: 2, other: 'value' });
+					done(err);
+				});
+		});
+
+	});
+
+	describe('body validator with files', function() {
+
+		const upload = (fieldname, originalname, mimetype, size = 100) => ({ fieldname, originalname, mimetype, size });
+
+		it ('should come back with 200 and validated fields and files.', function(done) {
+			request(app)
+				.post('/upload')
+				.send({
+					title: 'Test',
+					uploads: [
+						upload('avatar', 'avatar.png', 'image/png'),
+						upload('attachments', 'a.pdf', 'application/pdf'),
+						upload('attachments', 'b.pdf', 'application/pdf')
+					]
+				})
+				.expect(200, function(err, res) {
+					expect(res.body).to.have.property('title', 'Test');
+					expect(res.body).to.have.property('avatar').to.have.property('originalname', 'avatar.png');
+					expect(res.body).to.have.property('attachments').to.have.lengthOf(2);
+					done(err);
+				});
+		});
+
+		it ('should come back with 400 if file does not match schema.', function(done) {
+			request(app)
+				.post('/upload')
+				.send({
+					title: 'Test',
+					uploads: [upload('avatar', 'avatar.png', 'image/png', 2048)]
+				})
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('body.avatar');
+					expect(res.body).to.have.property('message').equal('File is larger than 1024 bytes.');
+					done(err);
+				});
+		});
+
+		it ('should come back with 400 if too many files are uploaded.', function(done) {
+			request(app)
+				.post('/upload')
+				.send({
+					title: 'Test',
+					uploads: [
+						upload('avatar', 'avatar.png', 'image/png'),
+						upload('attachments', 'a.pdf', 'application/pdf'),
+						upload('attachments', 'b.pdf', 'application/pdf'),
+						upload('attachments', 'c.pdf', 'application/pdf')
+					]
+				})
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('body.attachments');
+					done(err);
+				});
+		});
+
+	});
+
+	describe('request validator', function() {
+
+		it ('should come back with 400 and all errors if multiple parts do not match schema.', function(done) {
+			request(app)
+				.post('/request/abc?dryRun=maybe')
+				.send({})
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPaths').to.have.members(['params.id', 'query.dryRun', 'body.name', 'headers.X-Api-Key']);
+					done(err);
+				});
+		});
+
+		it ('should come back with 400 and a single error if one part does not match schema.', function(done) {
+			request(app)
+				.post('/request/123')
+				.set('X-Api-Key', 'abc')
+				.send({ name: 123 })
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('body.name');
+					done(err);
+				});
+		});
+
+		it ('should come back with 200 and validated parts if all parts match schema.', function(done) {
+			request(app)
+				.post('/request/123?dryRun=true')
+				.set('X-Api-Key', 'abc')
+				.send({ name: 'test' })
+				.expect(200, function(err, res) {
+					expect(res.body).to.eql({ id: 123, query: { dryRun: true }, body: { name: 'test' }, key: 'abc' });
+					done(err);
+				});
+		});
+
+	});
+
+	describe('response validator', function() {
+
+		it ('should come back with error if response does not match schema.', function(done) {
+			request(app)
+				.get('/response/throw?id=123')
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('response.secret');
+					done(err);
+				});
+		});
+
+		it ('should come back with validated response if response matches schema of status code.', function(done) {
+			request(app)
+				.get('/response/throw?error=teapot')
+				.expect(418, function(err, res) {
+					expect(res.body).to.eql({ error: 'teapot' });
+					done(err);
+				});
+		});
+
+		it ('should log error and come back with response if response does not match schema.', function(done) {
+			request(app)
+				.get('/response/log?id=abc')
+				.expect(200, function(err, res) {
+					expect(res.body).to.eql({ id: 'abc', secret: 'leaked' });
+					expect(logged).to.have.length(1);
+					expect(logged[0]).to.have.property('message', 'Unknown key.');
+					done(err);
+				});
+		});
+
+		it ('should come back with unknown keys stripped.', function(done) {
+			request(app)
+				.get('/response/strip?id=123')
+				.expect(200, function(err, res) {
+					expect(res.body).to.eql({ id: 123 });
+					done(err);
+				});
+		});
+
+		it ('should come back with error if stripped response does not match schema.', function(done) {
+			request(app)
+				.get('/response/strip')
+				.expect(400, function(err, res) {
+					expect(res.body).to.have.property('keyPath').equal('response.id');
+					done(err);
+				});
+		});
+
+	});
+
+	describe('error handler', function() {
+
+		it ('should come back with 400 and problem details if validation fails.', function(done) {
+			request(app)
+				.post('/problems/body')
+				.send({})
+				.expect('Content-Type', /^application\/problem\+json/)
+				.expect(400, function(err, res) {
+					expect(JSON.parse(res.text)).to.eql({
+						type: 'about:blank',
+						title: 'Bad Request',
+						status: 400,
+						instance: '/problems/body',
+						detail: 'Data is required.',
+						errors: [{ keyPath: 'body.name', validator: 'required', message: 'Data is required.' }]
+					});
+					done(err);
+				});
+		});
+
+		it ('should come back with all errors if multiple errors occurred.', function(done) {
+			request(app)
+				.post('/problems/request?page=abc')
+				.send({})
+				.expect(400, function(err, res) {
+					expect(JSON.parse(res.text).errors.map(({ keyPath }) => keyPath)).to.have.members(['query.page', 'body.name']);
+					done(err);
+				});
+		});
+
+		it ('should come back with 500 and no details if response validation fails.', function(done) {
+			request(app)
+				.get('/problems/response')
+				.expect(500, function(err, res) {
+					expect(JSON.parse(res.text)).to.eql({
+						type: 'about:blank',
+						title: 'Internal Server Error',
+						status: 500,
+						instance: '/problems/response'
+					});
+					done(err);
+				});
+		});
+
+		it ('should pass on other errors.', function(done) {
+			request(app)
+				.get('/problems/error')
+				.expect(500, function(err, res) {
+					expect(res.body).to.have.property('error').equal('internal-server-error');
+					done(err);
+				});
+		});
+
+		it ('should come back with customized problem details.', function(done) {
+			request(app)
+				.post('/custom-problems/body')
+				.send({})
+				.expect(422, function(err, res) {
+					expect(JSON.parse(res.text)).to.eql({
+						type: 'https://example.com/problems/validation',
+						title: 'Unprocessable Entity',
+						status: 422,
+						instance: '/custom-problems/body'
+					});
+					done(err);
+				});
+		});
+
+	});
+
 });
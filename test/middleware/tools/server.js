@@ -6,7 +6,7 @@
 // See license in LICENSE
 //
 
-import { param, parameter, query, body } from '../../../lib/middleware.js';
+import { param, parameter, query, body, headers, cookies, request, response, errorHandler } from '../../../lib/middleware.js';
 import express from 'express';
 import bodyParser from 'body-parser';
 
@@ -61,6 +61,103 @@ app.post('/post',
 	}
 );
 
+app.get('/headers',
+	headers({
+		'X-Api-Key': { type: String, required: true, match: /^[a-z0-9]+$/ },
+		'X-Page': { type: Number, default: 1 },
+		'Accept-Language': [String]
+	}),
+	function(req, res) {
+		res.status(200).json({
+			key: req.headers['x-api-key'],
+			page: req.headers['x-page'],
+			languages: req.headers['accept-language']
+		});
+	}
+);
+
+app.get('/cookies',
+	cookies({
+		'session': { type: String, required: true },
+		'count': Number
+	}),
+	function(req, res) {
+		res.status(200).json(req.cookies);
+	}
+);
+
+// Files are provided as multer provides them from `.any()`.
+app.post('/upload',
+	function(req, res, next) {
+		req.files = req.body.uploads;
+		delete req.body.uploads;
+		next();
+	},
+	body({
+		'title': { type: String, required: true },
+		'avatar': { type: 'file', required: true, maxSize: 1024, mimeTypes: ['image/*'] },
+		'attachments': { type: 'file', count: '0-2', extensions: ['pdf'] }
+	}),
+	function(req, res) {
+		res.status(200).json(req.body);
+	}
+);
+
+app.post('/request/:id',
+	request({
+		params: { 'id': { type: Number, required: true } },
+		query: { 'dryRun': Boolean },
+		body: { 'name': { type: String, required: true } },
+		headers: { 'X-Api-Key': { type: String, required: true } }
+	}),
+	function(req, res) {
+		res.status(200).json({
+			id: req.params.id,
+			query: req.query,
+			body: req.body,
+			key: req.headers['x-api-key']
+		});
+	}
+);
+
+export const logged = [];
+
+['throw', 'log', 'strip'].forEach((mode) => {
+	app.get(`/response/${mode}`,
+		response({
+			200: { 'id': { type: Number, required: true } },
+			default: { 'error': String }
+		}, { mode, log: (error) => logged.push(error) }),
+		function(req, res) {
+			if (req.query.error) return res.status(418).send({ error: req.query.error });
+			res.status(200).json({ id: req.query.id, secret: 'leaked' });
+		}
+	);
+});
+
+const problems = express.Router();
+
+problems.post('/body', body({ 'name': { type: String, required: true } }), (req, res) => res.sendStatus(200));
+problems.post('/request', request({ query: { 'page': Number }, body: { 'name': { type: String, required: true } } }), (req, res) => res.sendStatus(200));
+problems.get('/response', response({ 200: { 'id': Number } }), (req, res) => res.json({ id: 'abc' }));
+problems.get('/error', () => { throw new Error('Not a validation error.'); });
+
+problems.use(errorHandler());
+
+app.use('/problems', problems);
+
+const customProblems = express.Router();
+
+customProblems.post('/body', body({ 'name': { type: String, required: true } }), (req, res) => res.sendStatus(200));
+
+customProblems.use(errorHandler({
+	status: 422,
+	expose: (error) => error.validator !== 'required',
+	problem: (problem) => Object.assign(problem, { type: 'https://example.com/problems/validation' })
+}));
+
+app.use('/custom-problems', customProblems);
+
 // Not found route
 app.use(function(req, res) {
 	res.status(400).json({ error: 'not-found' });
@@ -68,6 +165,9 @@ app.use(function(req, res) {
 
 // Error handler
 app.use(function(err, req, res, _) {
+	if (err.constructor.name == 'AggregatedError') {
+		return res.status(400).json({error: 'validation-error', keyPaths: err.errors.map((err) => err.keyPath.join('.'))});
+	}
 	if (err.constructor.name == 'ValidationError') {
 		return res.status(400).json({error: 'validation-error', keyPath: err.keyPath.join('.'), message: err.message});
 	}
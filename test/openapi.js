@@ -0,0 +1,114 @@
+//
+// openapi.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import express from 'express';
+import { openApi } from '../lib/openapi.js';
+import { body, query, parameter } from '../lib/middleware.js';
+import { define } from '../lib/registry.js';
+import app from './middleware/tools/server.js';
+
+describe('openapi', function() {
+	it ('should come back with an OpenAPI document.', () => {
+		const document = openApi(app, { info: { title: 'Test', version: '2.0.0' } });
+		expect(document).to.have.property('openapi', '3.1.0');
+		expect(document).to.have.property('info').eql({ title: 'Test', version: '2.0.0' });
+		expect(document).to.have.property('paths').to.include.keys('/parameter/{testParam}', '/param/{testParam}', '/cbParam/{cbTestParam}', '/query', '/post');
+	});
+	it ('should come back with path parameters from route middleware.', () => {
+		expect(openApi(app).paths['/parameter/{testParam}'].get.parameters).to.eql([
+			{ name: 'testParam', in: 'path', required: true, schema: { type: 'number' } }
+		]);
+	});
+	it ('should come back with path parameters from param middleware.', () => {
+		expect(openApi(app).paths['/param/{testParam}'].get.parameters).to.eql([
+			{ name: 'testParam', in: 'path', required: true, schema: { type: 'number' } }
+		]);
+	});
+	it ('should come back with query parameters.', () => {
+		expect(openApi(app).paths['/query'].get.parameters).to.eql([
+			{ name: 'test', in: 'query', required: false, schema: { type: 'string' } }
+		]);
+	});
+	it ('should come back with header and cookie parameters.', () => {
+		expect(openApi(app).paths['/headers'].get.parameters.map(({ name, in: location, required }) => [name, location, required])).to.eql([
+			['X-Api-Key', 'header', true],
+			['X-Page', 'header', false],
+			['Accept-Language', 'header', false]
+		]);
+		expect(openApi(app).paths['/cookies'].get.parameters.map(({ name, in: location }) => [name, location])).to.eql([
+			['session', 'cookie'],
+			['count', 'cookie']
+		]);
+	});
+	it ('should come back with request body.', () => {
+		expect(openApi(app).paths['/post'].post.requestBody).to.eql({
+			required: false,
+			content: {
+				'application/json': {
+					schema: {
+						type: 'object',
+						properties: { 'test': { type: 'array', items: { type: 'string' } } },
+						additionalProperties: false
+					}
+				}
+			}
+		});
+	});
+	it ('should come back with multipart request body if schema has files.', () => {
+		const { requestBody } = openApi([{
+			method: 'post',
+			path: '/upload',
+			handlers: [body({ 'name': String, 'avatar': { type: 'file' } })]
+		}]).paths['/upload'].post;
+		expect(requestBody.content).to.have.keys('multipart/form-data');
+		expect(requestBody.content['multipart/form-data'].schema.properties).to.have.property('avatar').eql({ type: 'string', format: 'binary' });
+	});
+	it ('should come back with all parts of request middleware.', () => {
+		const operation = openApi(app).paths['/request/{id}'].post;
+		expect(operation.parameters.map(({ name, in: location }) => [name, location])).to.eql([
+			['id', 'path'],
+			['dryRun', 'query'],
+			['X-Api-Key', 'header']
+		]);
+		expect(operation).to.have.property('requestBody').to.have.property('required', true);
+	});
+	it ('should come back with responses.', () => {
+		const responses = openApi(app).paths['/response/throw'].get.responses;
+		expect(responses).to.have.keys('200', 'default');
+		expect(responses['200'].content['application/json'].schema).to.have.property('required').eql(['id']);
+	});
+	it ('should come back with routes of mounted routers.', () => {
+		const router = express.Router();
+		router.put('/:id', parameter('id', Number), body({ 'name': { type: String, required: true } }));
+		const app = express();
+		app.use('/users', router);
+		const operation = openApi(app).paths['/users/{id}'].put;
+		expect(operation.parameters).to.eql([{ name: 'id', in: 'path', required: true, schema: { type: 'number' } }]);
+		expect(operation.requestBody).to.have.property('required', true);
+	});
+	it ('should come back with routes from explicit registry.', () => {
+		expect(openApi([
+			{ method: 'GET', path: '/items', handlers: [query({ 'limit': { type: Number, required: true } })] }
+		]).paths).to.eql({
+			'/items': {
+				get: {
+					parameters: [{ name: 'limit', in: 'query', required: true, schema: { type: 'number' } }]
+				}
+			}
+		});
+	});
+	it ('should come back with named schemas as components.', () => {
+		define('OpenApiUser', { 'name': String });
+		const document = openApi([
+			{ method: 'post', path: '/users', handlers: [body({ $ref: 'OpenApiUser' })] }
+		]);
+		expect(document.paths['/users'].post.requestBody.content['application/json'].schema).to.eql({ $ref: '#/components/schemas/OpenApiUser' });
+		expect(document).to.have.property('components').to.have.property('schemas').to.have.property('OpenApiUser');
+	});
+});
@@ -7,7 +7,7 @@
 //
 
 import { expect } from 'chai';
-import { formalize, testIndex } from '../lib/ranges.js';
+import { formalize, testIndex, stringify } from '../lib/ranges.js';
 
 function r(range, value) {
 	const formalized = formalize(range);
@@ -53,4 +53,8 @@ describe('ranges', function() {
 			upper: 2
 		}], 1)).to.equal(true);
 	});
+	it ('should come back with ranges as a string.', function() {
+		expect(stringify(formalize('-2,4-6,8,10-'))).to.equal('-2,4-6,8,10-');
+		expect(stringify(formalize('(-2.2)-2.2'))).to.equal('(-2.2)-2.2');
+	});
 });
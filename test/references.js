@@ -0,0 +1,43 @@
+//
+// references.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import { ref, Reference, resolveKeyPath, valueAtKeyPath } from '../lib/references.js';
+
+describe('references', () => {
+	describe('ref', () => {
+		it ('should come back with a reference.', () => {
+			expect(ref('../password')).to.be.instanceOf(Reference).and.to.have.property('path', '../password');
+		});
+		it ('should throw error if path is not a string.', () => {
+			expect(() => ref(123)).to.throw(Error);
+		});
+	});
+	describe('resolveKeyPath', () => {
+		it ('should come back with absolute key path.', () => {
+			expect(resolveKeyPath('a.b', ['c', 'd'])).to.eql(['a', 'b']);
+		});
+		it ('should come back with sibling key path.', () => {
+			expect(resolveKeyPath('../b', ['a', 'c'])).to.eql(['a', 'b']);
+		});
+		it ('should come back with key path of parent sibling.', () => {
+			expect(resolveKeyPath('../../b.c', ['a', 'd', 'e'])).to.eql(['a', 'b', 'c']);
+		});
+		it ('should come back with child key path.', () => {
+			expect(resolveKeyPath('./b', ['a'])).to.eql(['a', 'b']);
+		});
+	});
+	describe('valueAtKeyPath', () => {
+		it ('should come back with value at key path.', () => {
+			expect(valueAtKeyPath({ a: [{ b: 1 }] }, ['a', '0', 'b'])).to.equal(1);
+		});
+		it ('should come back with undefined if key path does not exist.', () => {
+			expect(valueAtKeyPath({ a: 1 }, ['a', 'b', 'c'])).to.be.undefined;
+		});
+	});
+});
@@ -0,0 +1,109 @@
+//
+// registry.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import { define } from '../lib/registry.js';
+import isvalid from '../index.js';
+import formalize from '../lib/formalize.js';
+import keyPaths from '../lib/key-paths.js';
+import merge from '../lib/merge.js';
+import ValidationError from '../lib/errors/validation.js';
+import SchemaError from '../lib/errors/schema.js';
+
+describe('registry', () => {
+	before(() => {
+		define('Comment', {
+			'text': { type: String, required: true },
+			'replies': [{ $ref: 'Comment' }]
+		});
+		define('Category', {
+			'name': String,
+			'products': [{ $ref: 'Product' }]
+		});
+		define('Product', {
+			'name': String,
+			'category': { $ref: 'Category' }
+		});
+	});
+	it ('should throw error if name is already defined.', () => {
+		expect(() => define('Comment', String)).to.throw(Error);
+	});
+	it ('should not throw error if name is already defined and conflict is ignored.', () => {
+		expect(() => define('Comment', String, { conflict: 'ignore' })).to.not.throw();
+	});
+	it ('should define schemas with names of properties of objects.', () => {
+		expect(() => define('toString', String)).to.not.throw();
+		expect(() => define('constructor', Number)).to.not.throw();
+		expect(formalize({ $ref: 'constructor' })).to.have.property('$ref', 'constructor');
+	});
+	it ('should throw error if schema has both type and reference.', () => {
+		expect(() => formalize({ type: String, $ref: 'Comment' })).to.throw(SchemaError);
+	});
+	it ('should come back with reference formalized.', () => {
+		expect(formalize({ $ref: 'Comment', required: true }))
+			.to.have.property('$ref', 'Comment');
+	});
+	describe('validate', () => {
+		it ('should come back with recursive data validated.', () => {
+			return expect(isvalid({
+				text: 'first',
+				replies: [{ text: 'second', replies: [{ text: 'third' }] }]
+			}, { $ref: 'Comment' }))
+				.to.eventually.have.nested.property('replies[0].replies[0].text', 'third');
+		});
+		it ('should come back with error at the deep key path.', () => {
+			return expect(isvalid({
+				text: 'first',
+				replies: [{ text: 'second', replies: [{}] }]
+			}, { $ref: 'Comment' }))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('keyPath').eql(['replies', '0', 'replies', '0', 'text']);
+		});
+		it ('should come back with mutually recursive data validated.', () => {
+			return expect(isvalid({
+				name: 'Fruit',
+				products: [{ name: 'Apple', category: { name: 'Red', products: [] } }]
+			}, { $ref: 'Category' }))
+				.to.eventually.have.nested.property('products[0].category.name', 'Red');
+		});
+		it ('should apply validators of the reference.', () => {
+			return expect(isvalid(undefined, { $ref: 'Comment', required: true }))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('validator', 'required');
+		});
+		it ('should throw error if reference is not defined.', () => {
+			return expect(isvalid({}, { $ref: 'NotDefined' }))
+				.to.eventually.be.rejectedWith('Schema with name "NotDefined" is not defined.')
+				.and.to.be.instanceOf(SchemaError);
+		});
+	});
+	describe('keyPaths', () => {
+		it ('should come back with key paths of recursive schema.', () => {
+			expect(keyPaths({ $ref: 'Comment' }).all()).to.eql(['', 'text', 'replies']);
+		});
+		it ('should come back with key paths of mutually recursive schema.', () => {
+			expect(keyPaths({ $ref: 'Category' }).all()).to.eql(['', 'name', 'products', 'products.name', 'products.category']);
+		});
+		it ('should come back with schema at key path of recursive schema.', () => {
+			expect(keyPaths({ $ref: 'Comment' }).get('replies.replies.text')).to.have.property('type').equal(String);
+		});
+	});
+	describe('merge', () => {
+		it ('should come back with recursive schemas merged.', () => {
+			const result = merge({ $ref: 'Comment' }).with({ 'author': String, 'replies': [{ $ref: 'Comment' }] });
+			expect(Object.keys(result.schema)).to.eql(['text', 'replies', 'author']);
+			expect(result.schema.replies.schema).to.have.property('$ref', 'Comment');
+		});
+		it ('should come back with mutually recursive schemas merged.', () => {
+			const result = merge({ $ref: 'Category' }).with({ $ref: 'Product' });
+			expect(Object.keys(result.schema)).to.have.members(['name', 'products', 'category']);
+		});
+	});
+});
@@ -0,0 +1,128 @@
+//
+// typescript.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import { toTypeScript } from '../lib/typescript.js';
+import { define } from '../lib/registry.js';
+import SchemaError from '../lib/errors/schema.js';
+
+class Point {}
+
+describe('typescript', function() {
+	it ('should come back with declaration of simple types.', () => {
+		expect(toTypeScript(String)).to.equal('export type Data = string;\n');
+		expect(toTypeScript(Number, { name: 'Count' })).to.equal('export type Count = number;\n');
+		expect(toTypeScript(Boolean)).to.equal('export type Data = boolean;\n');
+		expect(toTypeScript(Date)).to.equal('export type Data = Date;\n');
+	});
+	it ('should come back with files.', () => {
+		expect(toTypeScript('file')).to.equal('export type Data = File;\n');
+		expect(toTypeScript({ type: 'file', count: '1-' })).to.equal('export type Data = File[];\n');
+	});
+	it ('should come back with custom types by name.', () => {
+		expect(toTypeScript(Point)).to.equal('export type Data = Point;\n');
+	});
+	it ('should come back with optional keys if not required.', () => {
+		expect(toTypeScript({
+			'a': { type: String, required: true },
+			'b': String,
+			'c': { type: String, default: 'test' },
+			'my-key': String
+		})).to.equal([
+			'export type Data = {',
+			'\ta: string;',
+			'\tb?: string;',
+			'\tc: string;',
+			'\t\'my-key\'?: string;',
+			'};',
+			''
+		].join('\n'));
+	});
+	it ('should come back with null if null is allowed.', () => {
+		expect(toTypeScript({ type: Number, null: 'allow' })).to.equal('export type Data = number | null;\n');
+	});
+	it ('should come back with enum keys as literal union.', () => {
+		expect(toTypeScript({ type: String, enum: { 'a': 'A', 'it\'s': 'B' } })).to.equal('export type Data = \'a\' | \'it\\\'s\';\n');
+	});
+	it ('should come back with enum of numbers and mixed literals.', () => {
+		expect(toTypeScript({ type: Number, enum: [1, 2] })).to.equal('export type Data = 1 | 2;\n');
+		expect(toTypeScript({ enum: ['auto', 0, false] })).to.equal('export type Data = \'auto\' | 0 | false;\n');
+	});
+	it ('should come back with mapped enum values.', () => {
+		expect(toTypeScript({ type: String, enum: { 'active': 1, 'inactive': 0 }, mapEnum: true })).to.equal('export type Data = 1 | 0;\n');
+	});
+	it ('should come back with arrays.', () => {
+		expect(toTypeScript([String])).to.equal('export type Data = string[];\n');
+		expect(toTypeScript([{ type: String, null: 'allow' }])).to.equal('export type Data = (string | null)[];\n');
+		expect(toTypeScript(Array)).to.equal('export type Data = unknown[];\n');
+	});
+	it ('should come back with nested objects.', () => {
+		expect(toTypeScript({ 'a': { 'b': [{ 'c': Number }] } })).to.equal([
+			'export type Data = {',
+			'\ta?: {',
+			'\t\tb?: {',
+			'\t\t\tc?: number;',
+			'\t\t}[];',
+			'\t};',
+			'};',
+			''
+		].join('\n'));
+	});
+	it ('should come back with index signature if unknown keys are allowed.', () => {
+		expect(toTypeScript({ type: Object, unknownKeys: 'allow', schema: { 'a': Boolean } })).to.equal([
+			'export type Data = {',
+			'\ta?: boolean;',
+			'\t[key: string]: unknown;',
+			'};',
+			''
+		].join('\n'));
+	});
+	it ('should come back with unions.', () => {
+		expect(toTypeScript({ anyOf: [String, [Number]] })).to.equal('export type Data = string | number[];\n');
+		expect(toTypeScript({ allOf: [{ type: Object, unknownKeys: 'allow' }, { 'a': String }] }))
+			.to.equal('export type Data = {\n\t[key: string]: unknown;\n} & {\n\ta?: string;\n};\n');
+	});
+	it ('should come back with discriminated objects.', () => {
+		expect(toTypeScript({ type: Object, discriminator: { key: 'kind', schemas: { 'a': { 'id': String }, 'b': {} } } }))
+			.to.equal('export type Data = {\n\tkind: \'a\';\n\tid?: string;\n} | {\n\tkind: \'b\';\n};\n');
+	});
+	it ('should come back with named schemas declared.', () => {
+		define('TypeScriptNode', { 'children': [{ $ref: 'TypeScriptNode' }] });
+		expect(toTypeScript({ 'root': { $ref: 'TypeScriptNode', required: true } })).to.equal([
+			'export type Data = {',
+			'\troot: TypeScriptNode;',
+			'};',
+			'',
+			'export type TypeScriptNode = {',
+			'\tchildren?: TypeScriptNode[];',
+			'};',
+			''
+		].join('\n'));
+	});
+	it ('should come back with names of schemas that are not identifiers in pascal case.', () => {
+		define('typescript-tree', { 'children': [{ $ref: 'typescript-tree' }] });
+		expect(toTypeScript({ $ref: 'typescript-tree' })).to.equal([
+			'export type Data = TypescriptTree;',
+			'',
+			'export type TypescriptTree = {',
+			'\tchildren?: TypescriptTree[];',
+			'};',
+			''
+		].join('\n'));
+	});
+	it ('should throw error if names of schemas are declared as the same type.', () => {
+		define('typescript-leaf', String);
+		define('TypescriptLeaf', String);
+		expect(() => toTypeScript({ 'a': { $ref: 'typescript-leaf' }, 'b': { $ref: 'TypescriptLeaf' } }))
+			.to.throw(SchemaError, 'Schemas with names "typescript-leaf" and "TypescriptLeaf" are both declared as "TypescriptLeaf".');
+	});
+	it ('should throw error if name of schema cannot be declared as a type.', () => {
+		define('1-typescript', String);
+		expect(() => toTypeScript({ $ref: '1-typescript' })).to.throw(SchemaError, 'Schema with name "1-typescript" cannot be declared as a type.');
+	});
+});
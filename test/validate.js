@@ -9,8 +9,10 @@
 import { expect, assert } from 'chai';
 import ValidationError from '../lib/errors/validation.js';
 import AggregatedError from '../lib/errors/aggregated.js';
-import isvalid from '../index.js';
+import SchemaError from '../lib/errors/schema.js';
+import isvalid, { ref, compile, formats, formalize } from '../index.js';
 import { typeName, instanceTypeName, isSameType } from '../lib/utils.js';
+import { use } from '../lib/plugins.js';
 
 class Test {
 	constructor() {
@@ -516,6 +518,53 @@ describe('validate', function() {
 				});
 			});
 		});
+		describe('discriminator', function() {
+			const schema = {
+				type: Object,
+				discriminator: {
+					key: 'kind',
+					schemas: {
+						'created': { 'id': { type: Number, required: true } },
+						'deleted': { 'id': Number, 'reason': { type: String, required: true } }
+					}
+				}
+			};
+			it ('should come back with data validated by the selected schema.', () => {
+				return expect(isvalid({ kind: 'created', id: '1' }, schema))
+					.to.eventually.eql({ kind: 'created', id: 1 });
+			});
+			it ('should come back with error from the selected schema only.', () => {
+				return expect(isvalid({ kind: 'deleted', id: 1 }, schema))
+					.to.eventually.be.rejectedWith('Data is required.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('keyPath').eql(['reason']);
+			});
+			it ('should come back with error if key has unknown value.', () => {
+				return expect(isvalid({ kind: 'updated', id: 1 }, schema))
+					.to.eventually.be.rejectedWith('Unknown kind \'updated\'.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'discriminator');
+			});
+			it ('should come back with error if key is missing.', () => {
+				return expect(isvalid({ id: 1 }, schema))
+					.to.eventually.be.rejectedWith('Missing kind.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('keyPath').eql(['kind']);
+			});
+			it ('should validate key if the selected schema describes it.', () => {
+				return expect(isvalid({ kind: 'created' }, {
+					type: Object,
+					discriminator: {
+						key: 'kind',
+						schemas: { 'created': { 'kind': { type: String, post: () => 'CREATED' } } }
+					}
+				})).to.eventually.eql({ kind: 'CREATED' });
+			});
+			it ('should come back with custom error message.', () => {
+				return expect(isvalid({ kind: 'updated' }, Object.assign({}, schema, { errors: { discriminator: 'Unsupported event.' } })))
+					.to.eventually.be.rejectedWith('Unsupported event.');
+			});
+		});
 	});
 	describe('array validator', function() {
 		commonTests.all(Array, [], 123);
@@ -693,6 +742,52 @@ describe('validate', function() {
 				}, { defaults: { trim: true }})).to.eventually.equal(' 123');
 			});
 		});
+		describe('case', function() {
+			it ('should come back with string in lower and upper case.', () => {
+				return Promise.all([
+					expect(isvalid('John@Example.COM', { type: String, case: 'lower' })).to.eventually.equal('john@example.com'),
+					expect(isvalid('dk', { type: String, case: 'upper' })).to.eventually.equal('DK')
+				]);
+			});
+			it ('should come back with identifiers converted.', () => {
+				return Promise.all([
+					expect(isvalid('my_HTTP-server id', { type: String, case: 'camel' })).to.eventually.equal('myHttpServerId'),
+					expect(isvalid('myHTTPServer', { type: String, case: 'snake' })).to.eventually.equal('my_http_server'),
+					expect(isvalid('MyHttpServer2', { type: String, case: 'kebab' })).to.eventually.equal('my-http-server2')
+				]);
+			});
+			it ('should come back with string converted before enum.', () => {
+				return expect(isvalid('Active', { type: String, case: 'lower', enum: ['active', 'inactive'] })).to.eventually.equal('active');
+			});
+			it ('should come back with string converted when case option is set.', () => {
+				return expect(isvalid('ABC', 'string', { defaults: { case: 'lower' } })).to.eventually.equal('abc');
+			});
+			it ('should throw schema error if case is not supported.', () => {
+				expect(() => isvalid.sync('abc', { type: String, case: 'title' })).to.throw(SchemaError);
+			});
+		});
+		describe('normalize', function() {
+			it ('should come back with string normalized.', () => {
+				return Promise.all([
+					expect(isvalid('e\u0301', { type: String, normalize: 'NFC' })).to.eventually.equal('\u00e9'),
+					expect(isvalid('\ufb01', { type: String, normalize: 'NFKC' })).to.eventually.equal('fi')
+				]);
+			});
+			it ('should come back with string normalized before len.', () => {
+				return expect(isvalid('e\u0301', { type: String, normalize: 'NFC', len: '1' })).to.eventually.equal('\u00e9');
+			});
+			it ('should throw schema error if normalization is not supported.', () => {
+				expect(() => isvalid.sync('abc', { type: String, normalize: 'NFX' })).to.throw(SchemaError);
+			});
+		});
+		describe('collapse', function() {
+			it ('should come back with whitespace collapsed.', () => {
+				return expect(isvalid(' John \t\n Doe ', { type: String, trim: true, collapse: true })).to.eventually.equal('John Doe');
+			});
+			it ('should come back with whitespace collapsed before match.', () => {
+				return expect(isvalid('a  b', { type: String, collapse: true, match: /^a b$/ })).to.eventually.equal('a b');
+			});
+		});
 		describe('match', function() {
 			it('should come back with an error if string does not match RegExp.', () => {
 				return expect(isvalid('123', { type: 'string', match: /^[a-z]+$/ }))
@@ -716,6 +811,79 @@ describe('validate', function() {
 						.and.to.be.instanceOf(ValidationError)
 						.and.have.property('validator', 'match');
 				});
+				it ('should come back with error of pattern message if pattern does not match.', () => {
+					return expect(isvalid('abc', { type: String, match: [[/\d/, 'Must contain a digit.'], { pattern: /^[^-]/, message: 'Must not start with a dash.' }] }))
+						.to.eventually.be.rejectedWith('Must contain a digit.')
+						.and.to.have.property('validator', 'match');
+				});
+			});
+			it ('should come back with string if it matches all patterns.', () => {
+				return expect(isvalid('a1', { type: String, match: [/\d/, /[a-z]/] })).to.eventually.equal('a1');
+			});
+			it ('should come back with error if string does not match one of the patterns.', () => {
+				return expect(isvalid('a', { type: String, match: [/[a-z]/, /\d/] }))
+					.to.eventually.be.rejectedWith('Does not match expression \\d.')
+					.and.to.be.instanceOf(ValidationError);
+			});
+			it ('should come back with all failed patterns if errors are aggregated.', () => {
+				return expect(isvalid('-a', { type: String, match: [[/\d/, 'Must contain a digit.'], [/^[^-]/, 'Must not start with a dash.']] }, { aggregatedErrors: 'flatten' }))
+					.to.eventually.be.rejectedWith('Multiple errors occurred.')
+					.and.to.be.instanceOf(AggregatedError)
+					.and.to.have.property('errors').to.have.lengthOf(2);
+			});
+		});
+		describe('notMatch', function() {
+			it ('should come back with error if string matches RegExp.', () => {
+				return expect(isvalid('-a', { type: String, notMatch: /^-/ }))
+					.to.eventually.be.rejectedWith('Must not match expression ^-.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'notMatch');
+			});
+			it ('should come back with string if it does not match any pattern.', () => {
+				return expect(isvalid('a', { type: String, notMatch: [/^-/, /admin/] })).to.eventually.equal('a');
+			});
+			it ('should come back with error of pattern message.', () => {
+				return expect(isvalid('my-admin', { type: String, notMatch: [{ pattern: /admin/, message: 'Must not contain admin.' }] }))
+					.to.eventually.be.rejectedWith('Must not contain admin.');
+			});
+			it ('should come back with failed match and notMatch patterns if errors are aggregated.', () => {
+				return expect(isvalid('-a', { type: String, match: /\d/, notMatch: /^-/ }, { aggregatedErrors: true }))
+					.to.eventually.be.rejectedWith(AggregatedError)
+					.and.to.have.property('errors').to.satisfy((errors) => errors.map(({ validator }) => validator).join() === 'match,notMatch');
+			});
+		});
+		describe('format', function() {
+			it ('should come back with error if string does not match format.', () => {
+				return expect(isvalid('john', { type: String, format: 'email' }))
+					.to.eventually.be.rejectedWith('Is not a valid email address.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'format');
+			});
+			it ('should come back with string if it matches format.', () => {
+				return expect(isvalid('john@example.com', { type: String, format: 'email' })).to.eventually.equal('john@example.com');
+			});
+			it ('should come back with error of custom format.', () => {
+				formats.define('validate-country', /^[A-Z]{2}$/, { message: 'Is not a country code.' });
+				return expect(isvalid('dk', { type: String, format: 'validate-country' }))
+					.to.eventually.be.rejectedWith('Is not a country code.');
+			});
+			it ('should come back with default message of custom format.', () => {
+				formats.define('validate-lower', /^[a-z]+$/);
+				return expect(isvalid('A', { type: String, format: 'validate-lower' }))
+					.to.eventually.be.rejectedWith('Is not a valid validate-lower.');
+			});
+			it ('should throw schema error if format is not defined.', () => {
+				expect(() => isvalid.sync('test', { type: String, format: 'unknown' })).to.throw(SchemaError, 'Format with name "unknown" is not defined.');
+			});
+			describe('#errors', function() {
+				it ('should come back with custom error message.', () => {
+					return expect(isvalid('john', { type: String, format: ['email', 'Must be an email.'] }))
+						.to.eventually.be.rejectedWith('Must be an email.');
+				});
+				it ('should come back with error message from options.', () => {
+					return expect(isvalid('john', { type: String, format: 'email' }, { errorMessages: { string: { format: (format) => `Must be ${format}.` } } }))
+						.to.eventually.be.rejectedWith('Must be email.');
+				});
 			});
 		});
 		describe('enum', function() {
@@ -729,6 +897,19 @@ describe('validate', function() {
 				return expect(isvalid('test', { type: 'string', enum: ['this','test'] }))
 					.to.eventually.be.a('String').equal('test');
 			});
+			it ('should come back with string matched without case if ignoreCase is set.', () => {
+				return Promise.all([
+					expect(isvalid('dk', { type: String, enum: ['DK', 'DE'], ignoreCase: true })).to.eventually.equal('DK'),
+					expect(isvalid('dk', { type: String, enum: ['DK', 'DE'] })).to.eventually.be.rejectedWith(ValidationError)
+				]);
+			});
+			it ('should come back with mapped value if mapEnum is set.', () => {
+				return Promise.all([
+					expect(isvalid('active', { type: String, enum: { 'active': 1, 'inactive': 0 }, mapEnum: true })).to.eventually.equal(1),
+					expect(isvalid('Inactive', { type: String, enum: { 'active': 1, 'inactive': 0 }, mapEnum: true, ignoreCase: true })).to.eventually.equal(0),
+					expect(isvalid('active', { type: String, enum: { 'active': 1, 'inactive': 0 } })).to.eventually.equal('active')
+				]);
+			});
 			describe('#errors', function() {
 				it('should come back with an error of post message if string is not in enum.', () => {
 					return expect(isvalid('123', {
@@ -756,6 +937,32 @@ describe('validate', function() {
 					len: '2-'
 				}));
 			});
+			describe('lenUnit', function() {
+				const emoji = '\u{1f44d}\u{1f3fd}';
+				it ('should come back with error if code units are not within range.', () => {
+					return expect(isvalid(emoji, { type: String, len: '-2', lenUnit: 'code-units' })).to.eventually.be.rejectedWith('String length is not within range of -2');
+				});
+				it ('should come back with string if code points are within range.', () => {
+					return expect(isvalid(emoji, { type: String, len: '2', lenUnit: 'code-points' })).to.eventually.equal(emoji);
+				});
+				it ('should come back with string if graphemes are within range.', () => {
+					return Promise.all([
+						expect(isvalid(emoji, { type: String, len: '1', lenUnit: 'graphemes' })).to.eventually.equal(emoji),
+						expect(isvalid('e\u0301', { type: String, len: '1', lenUnit: 'graphemes' })).to.eventually.equal('e\u0301')
+					]);
+				});
+				it ('should come back with error if bytes are not within range.', () => {
+					return expect(isvalid('\u00e6\u00f8\u00e5', { type: String, len: '-5', lenUnit: 'bytes' }))
+						.to.eventually.be.rejectedWith('String length is not within range of -5')
+						.and.to.have.property('validator', 'len');
+				});
+				it ('should come back with string measured by unit from defaults.', () => {
+					return expect(isvalid(emoji, { type: String, len: '1' }, { defaults: { lenUnit: 'graphemes' } })).to.eventually.equal(emoji);
+				});
+				it ('should throw schema error if unit is not supported.', () => {
+					expect(() => isvalid.sync('abc', { type: String, lenUnit: 'words' })).to.throw(SchemaError);
+				});
+			});
 			describe('#errors', function() {
 				it ('should come back with a custom error message', () => {
 					return expect(isvalid('123', {
@@ -799,6 +1006,24 @@ describe('validate', function() {
 				});
 			});
 		});
+		describe('enum', function() {
+			it ('should come back with error if number is not in enum.', () => {
+				return expect(isvalid(3, { type: Number, enum: [1, 2] }))
+					.to.eventually.be.rejectedWith('Possible values are 1 and 2.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'enum');
+			});
+			it ('should come back with number if it is in enum.', () => {
+				return expect(isvalid('2', { type: Number, enum: [1, 2] })).to.eventually.equal(2);
+			});
+			it ('should come back with mapped value of Map.', () => {
+				return expect(isvalid(1, { type: Number, enum: new Map([[1, 'one'], [2, 'two']]), mapEnum: true })).to.eventually.equal('one');
+			});
+			it ('should come back with error message from options.', () => {
+				return expect(isvalid(3, { type: Number, enum: [1, 2] }, { errorMessages: { number: { enum: 'Not an option.' } } }))
+					.to.eventually.be.rejectedWith('Not an option.');
+			});
+		});
 		describe('float', function() {
 			it('should throw error if non-integers are not allowed.', () => {
 				return  expect(isvalid(2.2, { type: Number, float: 'deny' }))
@@ -823,9 +1048,368 @@ describe('validate', function() {
 	describe('date validator', function() {
 		commonTests.all(Date, new Date(), 123);
 	});
+	describe('file validator', function() {
+		const upload = (originalname, mimetype, size = 100) => ({ fieldname: 'file', originalname, mimetype, size });
+		commonTests.all(File, new File(['test'], 'test.png', { type: 'image/png' }), 123);
+		it ('should come back with files of multipart parsers.', () => {
+			return Promise.all([
+				new File(['test'], 'test.txt', { type: 'text/plain' }),
+				upload('test.png', 'image/png'),
+				{ originalFilename: 'test.png', mimetype: 'image/png', size: 100, filepath: '/tmp/test' },
+				{ name: 'test.png', mimetype: 'image/png', size: 100, data: Buffer.from([]) }
+			].map((file) => expect(isvalid(file, 'file')).to.eventually.equal(file)));
+		});
+		it ('should come back with file of `File` type.', () => {
+			const file = new File(['test'], 'test.txt');
+			return expect(isvalid(file, File)).to.eventually.equal(file);
+		});
+		it ('should come back with single file if array has one file.', () => {
+			const file = upload('test.png', 'image/png');
+			return expect(isvalid([file], 'file')).to.eventually.equal(file);
+		});
+		it ('should come back with error if more than one file is provided.', () => {
+			return expect(isvalid([upload('a.png', 'image/png'), upload('b.png', 'image/png')], 'file'))
+				.to.eventually.be.rejectedWith('File count is not within range of \'1\'.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('validator', 'count');
+		});
+		describe('count', function() {
+			it ('should come back with array of files.', () => {
+				const file = upload('test.png', 'image/png');
+				return expect(isvalid(file, { type: 'file', count: '1-2' })).to.eventually.eql([file]);
+			});
+			it ('should come back with error if file count is not within range.', () => {
+				return expect(isvalid([], { type: 'file', count: '1-2' }))
+					.to.eventually.be.rejectedWith('File count is not within range of \'1-2\'.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'count');
+			});
+			it ('should come back with key path of failing file.', () => {
+				return expect(isvalid([upload('a.png', 'image/png'), 'b'], { type: 'file', count: '1-2' }))
+					.to.eventually.be.rejectedWith('Is not of type file.')
+					.and.to.have.property('keyPath').eql([1]);
+			});
+		});
+		describe('maxSize', function() {
+			it ('should come back with error if file is too large.', () => {
+				return expect(isvalid(upload('test.png', 'image/png', 2048), { type: 'file', maxSize: 1024 }))
+					.to.eventually.be.rejectedWith('File is larger than 1024 bytes.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'maxSize');
+			});
+			it ('should come back with file if not too large.', () => {
+				const file = upload('test.png', 'image/png', 1024);
+				return expect(isvalid(file, { type: 'file', maxSize: 1024 })).to.eventually.equal(file);
+			});
+		});
+		describe('mimeTypes', function() {
+			it ('should come back with error if MIME type is not allowed.', () => {
+				return expect(isvalid(upload('test.pdf', 'application/pdf'), { type: 'file', mimeTypes: ['image/*', 'text/plain'] }))
+					.to.eventually.be.rejectedWith('File is not of type(s) image/*, text/plain.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'mimeTypes');
+			});
+			it ('should come back with file if MIME type matches wildcard.', () => {
+				const file = upload('test.png', 'Image/PNG');
+				return expect(isvalid(file, { type: 'file', mimeTypes: ['image/*'] })).to.eventually.equal(file);
+			});
+		});
+		describe('extensions', function() {
+			it ('should come back with error if extension is not allowed.', () => {
+				return expect(isvalid(upload('test.exe', 'image/png'), { type: 'file', extensions: ['.png', 'jpg'] }))
+					.to.eventually.be.rejectedWith('File does not have extension(s) .png, jpg.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'extensions');
+			});
+			it ('should come back with file if extension is allowed.', () => {
+				const file = upload('test.JPG', 'image/jpeg');
+				return expect(isvalid(file, { type: 'file', extensions: ['.png', 'jpg'] })).to.eventually.equal(file);
+			});
+			describe('#errors', function() {
+				it ('should come back with custom error message.', () => {
+					return expect(isvalid(upload('test.exe', 'image/png'), { type: 'file', extensions: [['png'], 'Must be an image.'] }))
+						.to.eventually.be.rejectedWith('Must be an image.');
+				});
+			});
+		});
+	});
 	describe('other validator', function() {
 		commonTests.all(Test, new Test(), 123);
 	});
+	describe('enum validator', function() {
+		it ('should come back with data of object shortcut with a key named enum.', () => {
+			return expect(isvalid({ enum: 'a', other: 'b' }, { enum: String, other: String })).to.eventually.eql({ enum: 'a', other: 'b' });
+		});
+		it ('should come back with data if it is in enum of mixed literals.', () => {
+			return Promise.all([
+				expect(isvalid('auto', { enum: ['auto', 0, false] })).to.eventually.equal('auto'),
+				expect(isvalid(0, { enum: ['auto', 0, false] })).to.eventually.equal(0),
+				expect(isvalid(false, { enum: ['auto', 0, false] })).to.eventually.equal(false)
+			]);
+		});
+		it ('should come back with error if data is not in enum of mixed literals.', () => {
+			return expect(isvalid('0', { enum: ['auto', 0, false] }))
+				.to.eventually.be.rejectedWith('Possible values are "auto", 0 and false.')
+				.and.to.have.property('validator', 'enum');
+		});
+		it ('should come back with data if it is in enum of any type.', () => {
+			return Promise.all([
+				expect(isvalid(true, { type: Boolean, enum: [true] })).to.eventually.equal(true),
+				expect(isvalid({ a: 1 }, { type: Object, unknownKeys: 'allow', enum: [{ a: 1 }, { b: 2 }] })).to.eventually.eql({ a: 1 })
+			]);
+		});
+		it ('should come back with error if array is in enum in another order.', () => {
+			return expect(isvalid(['b', 'a'], { type: Array, enum: [['a', 'b']] }))
+				.to.eventually.be.rejectedWith(ValidationError)
+				.and.to.have.property('validator', 'enum');
+		});
+		it ('should come back with arrays of enum and data unchanged.', async () => {
+			const values = [['b', 'a']];
+			const data = ['b', 'a'];
+			expect(await isvalid(data, { type: Array, enum: values })).to.eql(['b', 'a']);
+			expect(values).to.eql([['b', 'a']]);
+		});
+		it ('should come back with data if date is in enum.', () => {
+			return Promise.all([
+				expect(isvalid(new Date(5), { type: Date, enum: [new Date(5)] })).to.eventually.eql(new Date(5)),
+				expect(isvalid(new Date(6), { type: Date, enum: [new Date(5)] })).to.eventually.be.rejectedWith(ValidationError)
+			]);
+		});
+		it ('should come back with enum of object keys.', () => {
+			return expect(isvalid({ 'enum': 'test' }, { type: Object, schema: { 'enum': String } })).to.eventually.eql({ 'enum': 'test' });
+		});
+	});
+	describe('union validators', function() {
+		describe('anyOf', function() {
+			it ('should come back with data if it matches one of the schemas.', () => {
+				return expect(isvalid('test', { anyOf: [Number, String] })).to.eventually.equal('test');
+			});
+			it ('should come back with output from the first matching schema.', () => {
+				return expect(isvalid('123', { anyOf: [Number, String] })).to.eventually.equal(123);
+			});
+			it ('should come back with an error for each branch if no schemas match.', () => {
+				return expect(isvalid(true, { anyOf: [Number, String] }))
+					.to.eventually.be.rejectedWith('Does not match any of the allowed schemas.')
+					.and.to.be.instanceOf(AggregatedError)
+					.and.to.have.property('errors')
+					.and.to.have.length(2);
+			});
+			it ('should not let failing branches modify the data.', () => {
+				return expect(isvalid({ a: 'test', b: 1 }, {
+					anyOf: [
+						{ type: Object, unknownKeys: 'remove', schema: { a: Number } },
+						{ type: Object, schema: { a: String, b: Number } }
+					]
+				})).to.eventually.eql({ a: 'test', b: 1 });
+			});
+			it ('should come back with error key paths of the failing branches.', () => {
+				return expect(isvalid({ a: { b: true } }, {
+					'a': { anyOf: [{ 'b': String }, { 'b': Number }] }
+				}))
+					.to.eventually.be.rejectedWith('Does not match any of the allowed schemas.')
+					.and.to.have.property('errors')
+					.and.to.have.property(0)
+					.and.to.have.property('keyPath').eql(['a', 'b']);
+			});
+			it ('should come back with custom error message.', () => {
+				return expect(isvalid(true, { anyOf: [Number, String], errors: { anyOf: 'Must be number or string.' } }))
+					.to.eventually.be.rejectedWith('Must be number or string.')
+					.and.to.have.property('validator', 'anyOf');
+			});
+			it ('should come back with data if first schema is an array shortcut and second is a type.', () => {
+				return expect(isvalid('abc', { anyOf: [[Number], String] })).to.eventually.equal('abc');
+			});
+		});
+		describe('oneOf', function() {
+			it ('should come back with data if it matches exactly one schema.', () => {
+				return expect(isvalid({ kind: 'b' }, {
+					oneOf: [{ kind: { equal: 'a' } }, { kind: { equal: 'b' } }]
+				})).to.eventually.eql({ kind: 'b' });
+			});
+			it ('should come back with error if data matches more than one schema.', () => {
+				return expect(isvalid('123', { oneOf: [Number, String] }))
+					.to.eventually.be.rejectedWith('Matches more than one of the allowed schemas.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'oneOf');
+			});
+			it ('should come back with an error for each branch if no schemas match.', () => {
+				return expect(isvalid(true, { oneOf: [Number, String] }))
+					.to.eventually.be.rejectedWith('Does not match any of the allowed schemas.')
+					.and.to.be.instanceOf(AggregatedError)
+					.and.to.have.property('errors')
+					.and.to.have.length(2);
+			});
+		});
+		describe('allOf', function() {
+			it ('should come back with data if it matches all schemas.', () => {
+				return expect(isvalid('123', { allOf: [{ type: String, len: '3' }, Number] })).to.eventually.equal(123);
+			});
+			it ('should come back with error of failing schema.', () => {
+				return expect(isvalid('1234', { allOf: [{ type: String, len: '3' }, Number] }))
+					.to.eventually.be.rejectedWith('String length is not within range of 3')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('validator', 'len');
+			});
+			it ('should come back with data of object with keys of all schemas.', () => {
+				return expect(isvalid({ 'a': 'x', 'b': '1' }, { allOf: [{ 'a': String }, { 'b': Number }] }))
+					.to.eventually.eql({ 'a': 'x', 'b': 1 });
+			});
+			it ('should come back with data of object with keys of both schema and its schemas.', () => {
+				return expect(isvalid({ 'a': 'x', 'b': 'y' }, { type: Object, schema: { 'a': String }, allOf: [{ 'b': String }, { 'c': String }] }))
+					.to.eventually.eql({ 'a': 'x', 'b': 'y' });
+			});
+			it ('should come back with error if object has key unknown to all schemas.', () => {
+				return expect(isvalid({ 'a': 'x', 'b': 'y', 'c': 'z' }, { allOf: [{ 'a': String }, { 'b': String }] }))
+					.to.eventually.be.rejectedWith('Unknown key.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('keyPath').eql(['c']);
+			});
+			it ('should come back with error if nested object has key unknown to its schema.', () => {
+				return expect(isvalid({ 'a': { 'b': 'x' } }, { allOf: [{ 'a': { 'c': String } }, { 'b': String }] }))
+					.to.eventually.be.rejectedWith('Unknown key.')
+					.and.to.be.instanceOf(ValidationError)
+					.and.to.have.property('keyPath').eql(['a', 'b']);
+			});
+		});
+	});
+	describe('conditional validators', function() {
+		const schema = {
+			'country': { type: String, priority: 1 },
+			'vatNumber': {
+				type: String,
+				when: {
+					path: '../country',
+					is: { type: String, enum: ['DK', 'DE'] },
+					then: { required: true },
+					otherwise: { equal: 'none', default: 'none' }
+				}
+			}
+		};
+		it ('should come back with data of object shortcut with a key named when.', () => {
+			return expect(isvalid({ when: 'x' }, { when: String })).to.eventually.eql({ when: 'x' });
+		});
+		it ('should come back with error if condition is met and then fails.', () => {
+			return expect(isvalid({ country: 'DK' }, schema))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('keyPath').eql(['vatNumber']);
+		});
+		it ('should come back with data if condition is met and then validates.', () => {
+			return expect(isvalid({ country: 'DK', vatNumber: '123' }, schema))
+				.to.eventually.have.property('vatNumber', '123');
+		});
+		it ('should come back with data validated by otherwise if condition is not met.', () => {
+			return expect(isvalid({ country: 'US' }, schema))
+				.to.eventually.have.property('vatNumber', 'none');
+		});
+		it ('should come back with error if otherwise fails.', () => {
+			return expect(isvalid({ country: 'US', vatNumber: '123' }, schema))
+				.to.eventually.be.rejectedWith('Data does not equal none.')
+				.and.to.have.property('validator', 'equal');
+		});
+		it ('should resolve absolute paths.', () => {
+			return expect(isvalid({ recurring: true, schedule: {} }, {
+				'recurring': { type: Boolean, priority: 1 },
+				'schedule': {
+					'endDate': { type: Date, when: { path: 'recurring', is: { equal: true }, then: { required: true } } }
+				}
+			}))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.have.property('keyPath').eql(['schedule', 'endDate']);
+		});
+		it ('should test for presence if `is` is not provided.', () => {
+			return expect(isvalid({ startDate: '2024-01-01' }, {
+				'startDate': { type: Date, priority: 1 },
+				'endDate': { type: Date, when: { path: '../startDate', then: { required: true } } }
+			}))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.have.property('keyPath').eql(['endDate']);
+		});
+		it ('should resolve paths relative to custom key path.', () => {
+			return expect(isvalid({ a: true }, {
+				'a': { type: Boolean, priority: 1 },
+				'b': { type: String, when: { path: '../a', is: { equal: true }, then: { required: true } } }
+			}, { keyPath: 'body' }))
+				.to.eventually.be.rejectedWith('Data is required.')
+				.and.to.have.property('keyPath').eql(['body', 'b']);
+		});
+	});
+	describe('references', function() {
+		it ('should come back with data if data equals referenced value.', () => {
+			return expect(isvalid({ password: 'secret', passwordConfirm: 'secret' }, {
+				'password': String,
+				'passwordConfirm': { type: String, equal: ref('../password') }
+			})).to.eventually.have.property('passwordConfirm', 'secret');
+		});
+		it ('should come back with error if data does not equal referenced value.', () => {
+			return expect(isvalid({ password: 'secret', passwordConfirm: 'public' }, {
+				'password': String,
+				'passwordConfirm': { type: String, equal: ref('../password') }
+			}))
+				.to.eventually.be.rejectedWith('Data does not equal ../password.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('validator', 'equal');
+		});
+		it ('should come back with referenced arrays unchanged.', () => {
+			return expect(isvalid({ tags: [3, 1, 2], other: [1, 2, 3] }, {
+				'tags': [Number],
+				'other': { type: Array, equal: ref('../tags') }
+			})).to.eventually.have.property('tags').eql([3, 1, 2]);
+		});
+		it ('should come back with error if number is not within referenced range.', () => {
+			return expect(isvalid({ min: '5', max: 4 }, {
+				'min': { type: Number, priority: 1 },
+				'max': { type: Number, range: [{ lower: ref('../min'), upper: Infinity }] }
+			}))
+				.to.eventually.be.rejectedWith('Not within range of 5-.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('validator', 'range');
+		});
+		it ('should come back with data if referenced boundary is missing.', () => {
+			return expect(isvalid({ max: 4 }, {
+				'min': Number,
+				'max': { type: Number, range: [{ lower: ref('../min'), upper: Infinity }] }
+			})).to.eventually.have.property('max', 4);
+		});
+		it ('should come back with error if string length is not within referenced range.', () => {
+			return expect(isvalid({ settings: { length: '2-4' }, code: '12345' }, {
+				'settings': { 'length': String },
+				'code': { type: String, len: ref('settings.length') }
+			}))
+				.to.eventually.be.rejectedWith('String length is not within range of 2-4')
+				.and.to.have.property('validator', 'len');
+		});
+		it ('should come back with error if array length is not within referenced range.', () => {
+			return expect(isvalid({ count: 2, items: [1] }, {
+				'count': Number,
+				'items': { type: Array, schema: Number, len: ref('../count') }
+			}))
+				.to.eventually.be.rejectedWith('Array length is not within range of \'2\'.')
+				.and.to.have.property('validator', 'len');
+		});
+		it ('should come back with error if referenced range is malformed.', () => {
+			return expect(isvalid({ count: 'abc', items: [1] }, {
+				'count': String,
+				'items': { type: Array, schema: Number, len: ref('../count') }
+			}))
+				.to.eventually.be.rejectedWith(ValidationError)
+				.and.to.have.property('validator', 'len');
+		});
+		it ('should come back with error if string is not in referenced enum.', () => {
+			return expect(isvalid({ sizes: ['small', 'large'], size: 'medium' }, {
+				'sizes': [String],
+				'size': { type: String, enum: ref('../sizes') }
+			}))
+				.to.eventually.be.rejectedWith('Possible values are "small" and "large".')
+				.and.to.have.property('validator', 'enum');
+		});
+		it ('should come back with data if string is in referenced enum.', () => {
+			return expect(isvalid({ sizes: ['small', 'large'], size: 'large' }, {
+				'sizes': [String],
+				'size': { type: String, enum: ref('../sizes') }
+			})).to.eventually.have.property('size', 'large');
+		});
+	});
 	describe('plugin validators', function() {
 		it ('should throw error if casing does not match.', function() {
 			return expect(isvalid('my-string', { type: String, ensureCase: 'camel' }))
@@ -844,4 +1428,200 @@ describe('validate', function() {
 				.to.eventually.equal('myString');
 		});
 	});
+	describe('sync', function() {
+		it ('should come back with validated data.', () => {
+			expect(isvalid.sync({ a: '123', b: 'test' }, {
+				'a': Number,
+				'b': { type: String, post: (data) => data.toUpperCase() },
+				'c': { type: Boolean, default: () => true }
+			})).to.eql({ a: 123, b: 'TEST', c: true });
+		});
+		it ('should throw validation error.', () => {
+			expect(() => isvalid.sync({ a: 'abc' }, { 'a': Number }))
+				.to.throw(ValidationError, 'Is not of type number.')
+				.with.property('keyPath').eql(['a']);
+		});
+		it ('should validate with plugins.', () => {
+			expect(() => isvalid.sync('my-string', { type: String, ensureCase: 'camel' }))
+				.to.throw(ValidationError, 'Is not camel case.');
+		});
+		it ('should throw schema error if post is an asynchronous function.', () => {
+			expect(() => isvalid.sync('test', { type: String, post: async () => {} }))
+				.to.throw(SchemaError, 'Validator `post` is asynchronous and cannot be validated synchronously.');
+		});
+		it ('should throw schema error if default is an asynchronous function.', () => {
+			expect(() => isvalid.sync(undefined, { 'a': { type: String, default: async () => 'test' } }))
+				.to.throw(SchemaError, 'Validator `default` is asynchronous and cannot be validated synchronously.');
+		});
+		it ('should throw schema error if function returns a promise.', () => {
+			const schema = { type: String, pre: () => Promise.resolve('test') };
+			expect(() => isvalid.sync('test', schema))
+				.to.throw(SchemaError, 'Validator `pre` returned a promise, which cannot be validated synchronously.')
+				.with.property('schema').equal(schema);
+		});
+		it ('should throw schema error without calling functions if formalized schema has an asynchronous function.', () => {
+			let called = false;
+			const schema = formalize({ 'a': { type: String, post: async () => { called = true; } } });
+			expect(() => isvalid.sync({ a: 'test' }, schema))
+				.to.throw(SchemaError, 'Validator `post` is asynchronous and cannot be validated synchronously.')
+				.with.property('schema').to.have.property('type').equal(String);
+			expect(called).to.be.false;
+		});
+	});
+	describe('mutate', function() {
+		const schema = {
+			'a': Number,
+			'b': { type: String, trim: true },
+			'c': [{ 'd': { type: Boolean, default: true } }],
+			'e': { type: String, default: 'test' }
+		};
+		const input = () => ({ a: '1', b: ' test ', c: [{}, { d: 'false' }], f: 'unknown' });
+		it ('should leave input untouched.', async () => {
+			const data = input();
+			await isvalid(data, Object.assign({}, schema, { f: String }), { mutate: false });
+			expect(data).to.eql(input());
+		});
+		it ('should leave input untouched when unknown keys are removed.', async () => {
+			const data = input();
+			const result = await isvalid(data, { type: Object, unknownKeys: 'remove', schema }, { mutate: false });
+			expect(data).to.eql(input());
+			expect(result).to.eql({ a: 1, b: 'test', c: [{ d: true }, { d: false }], e: 'test' });
+		});
+		it ('should come back with a new structure.', async () => {
+			const data = input();
+			const result = await isvalid(data, Object.assign({}, schema, { f: String }), { mutate: false });
+			expect(result).to.not.equal(data);
+			expect(result.c).to.not.equal(data.c);
+			expect(result.c[0]).to.not.equal(data.c[0]);
+		});
+		it ('should leave input untouched when auto wrapping.', async () => {
+			const data = { a: '1' };
+			expect(await isvalid(data, { type: Array, autoWrap: true, schema: { 'a': Number } }, { mutate: false })).to.eql([{ a: 1 }]);
+			expect(data).to.eql({ a: '1' });
+		});
+		it ('should leave input untouched when validating synchronously.', () => {
+			const data = input();
+			expect(isvalid.sync(data, Object.assign({}, schema, { f: String }), { mutate: false })).to.have.property('a', 1);
+			expect(data).to.eql(input());
+		});
+		it ('should mutate input by default.', async () => {
+			const data = input();
+			await isvalid(data, Object.assign({}, schema, { f: String }));
+			expect(data).to.have.property('a', 1);
+		});
+	});
+	describe('raw schemas', function() {
+		let formalized = 0;
+		before(() => {
+			use('validate-formalized', (utils) => ({
+				supportsType: (type) => utils.isSameType(type, Number),
+				validatorsForType: () => ({ countFormalized: Boolean }),
+				formalize: () => { formalized++; },
+				validate: (data) => data
+			}));
+		});
+		it ('should formalize schema objects once.', async () => {
+			const schema = { 'a': { type: Number, countFormalized: true } };
+			formalized = 0;
+			expect(await isvalid({ a: '1' }, schema)).to.eql({ a: 1 });
+			expect(await isvalid({ a: '2' }, schema)).to.eql({ a: 2 });
+			expect(formalized).to.equal(1);
+		});
+		it ('should formalize schema objects once when validating synchronously.', () => {
+			const schema = { 'a': { type: Number, countFormalized: true } };
+			formalized = 0;
+			expect(isvalid.sync({ a: '1' }, schema)).to.eql({ a: 1 });
+			expect(isvalid.sync({ a: '2' }, schema)).to.eql({ a: 2 });
+			expect(formalized).to.equal(1);
+		});
+		it ('should formalize schema objects again if plugins are given.', async () => {
+			const schema = { 'a': { type: Number, countFormalized: true } };
+			formalized = 0;
+			await isvalid({ a: '1' }, schema, { plugins: [] });
+			await isvalid({ a: '2' }, schema, { plugins: [] });
+			expect(formalized).to.equal(2);
+		});
+	});
+	describe('compile', function() {
+		const schema = {
+			'a': { type: Number, range: '1-10' },
+			'b': [{ type: String, ensureCase: 'camel' }]
+		};
+		it ('should come back with a function with the formalized schema.', () => {
+			const validator = compile(schema);
+			expect(validator).to.be.a('function');
+			expect(validator.schema).to.have.property('type').equal(Object);
+		});
+		it ('should come back with validated data.', () => {
+			return expect(compile(schema)({ a: '2', b: ['myString'] })).to.eventually.eql({ a: 2, b: ['myString'] });
+		});
+		it ('should come back with same error as when validating.', () => {
+			return expect(compile(schema)({ a: 2, b: ['my-string'] }, {}, 'root'))
+				.to.eventually.be.rejectedWith('Is not camel case.')
+				.and.to.be.instanceOf(ValidationError)
+				.and.to.have.property('keyPath').eql(['root', 'b', '0']);
+		});
+		it ('should validate multiple times.', async () => {
+			const validator = compile(schema);
+			expect(await validator({ a: 1 })).to.eql({ a: 1 });
+			expect(await validator({ a: 3 })).to.eql({ a: 3 });
+		});
+		it ('should validate synchronously.', () => {
+			expect(() => compile(schema).sync({ a: 11 }))
+				.to.throw(ValidationError, 'Not within range of 1-10.');
+		});
+		it ('should throw schema error without calling functions if validating synchronously with asynchronous function.', () => {
+			let called = false;
+			const validator = compile({ 'a': { type: String, post: async () => { called = true; } } });
+			expect(() => validator.sync({ a: 'test' })).to.throw(SchemaError, 'Validator `post` is asynchronous and cannot be validated synchronously.');
+			expect(() => compile(validator.schema, { synchronous: true })).to.throw(SchemaError);
+			expect(called).to.be.false;
+		});
+		it ('should validate safely.', () => {
+			return expect(compile(schema).safe({ a: 11 })).to.eventually.have.property('ok', false);
+		});
+	});
+	describe('safe', function() {
+		const schema = {
+			'a': { type: Number, range: '1-10' },
+			'b': [{ type: String, required: true }],
+			'c': { 'd': { type: String, required: true } }
+		};
+		it ('should come back with value if data is valid.', () => {
+			return expect(isvalid.safe({ a: '2', b: ['test'], c: { d: 'test' } }, schema))
+				.to.eventually.eql({ ok: true, value: { a: 2, b: ['test'], c: { d: 'test' } }, errors: [] });
+		});
+		it ('should come back with all errors if data is invalid.', () => {
+			return expect(isvalid.safe({ a: 11, b: [undefined, 'test', 1], c: {} }, schema))
+				.to.eventually.eql({
+					ok: false,
+					value: undefined,
+					errors: [
+						{ keyPath: ['a'], validator: 'range', message: 'Not within range of 1-10.' },
+						{ keyPath: ['b', '0'], validator: 'required', message: 'Data is required.' },
+						{ keyPath: ['b', '2'], validator: 'type', message: 'Is not of type string.' },
+						{ keyPath: ['c', 'd'], validator: 'required', message: 'Data is required.' }
+					]
+				});
+		});
+		it ('should come back with a single error.', () => {
+			return expect(isvalid.safe('abc', Number))
+				.to.eventually.have.property('errors').eql([{ keyPath: [], validator: 'type', message: 'Is not of type number.' }]);
+		});
+		it ('should come back with errors of union branches.', () => {
+			return expect(isvalid.safe({ a: 'abc' }, { 'a': { anyOf: [Number, Boolean] } }))
+				.to.eventually.have.property('errors').eql([
+					{ keyPath: ['a'], validator: 'type', message: 'Is not of type number.' },
+					{ keyPath: ['a'], validator: 'type', message: 'Is not of type boolean.' }
+				]);
+		});
+		it ('should come back with schema errors.', () => {
+			return expect(isvalid.safe('test', { type: Number, bogus: 1 }))
+				.to.eventually.eql({
+					ok: false,
+					value: undefined,
+					errors: [{ keyPath: [], validator: 'schema', message: 'Validator `bogus` is unknown in this context.' }]
+				});
+		});
+	});
 });
@@ -0,0 +1,86 @@
+//
+// web.js
+//
+// Created by Kristian Trenskow on 2026-10-19
+//
+// See license in LICENSE
+//
+
+import { expect } from 'chai';
+import ValidationError from '../lib/errors/validation.js';
+import { web } from '../index.js';
+
+const post = (body, headers = {}) => new Request('http://localhost/users?page=2&tag=a&tag=b', { method: 'POST', body, headers });
+
+describe('web', function() {
+	describe('parse', function() {
+		it ('should come back with parsed JSON.', async () => {
+			expect(await web.parse(post('{"name":"test"}', { 'content-type': 'application/json' }))).to.eql({ name: 'test' });
+		});
+		it ('should come back with URL encoded form with repeated fields as arrays.', async () => {
+			expect(await web.parse(post(new URLSearchParams('a=1&b=2&b=3')))).to.eql({ a: '1', b: ['2', '3'] });
+		});
+		it ('should come back with form data with files.', async () => {
+			const form = new FormData();
+			form.append('name', 'test');
+			form.append('file', new File(['content'], 'test.txt', { type: 'text/plain' }));
+			const body = await web.parse(post(form));
+			expect(body).to.have.property('name', 'test');
+			expect(body).to.have.property('file').to.be.instanceOf(File);
+		});
+		it ('should come back with undefined if there is no body.', async () => {
+			expect(await web.parse(new Request('http://localhost/'))).to.equal(undefined);
+		});
+		it ('should throw validation error if JSON is malformed.', async () => {
+			const error = await web.parse(post('{', { 'content-type': 'application/json' })).catch((error) => error);
+			expect(error).to.be.instanceOf(ValidationError);
+			expect(error).to.have.property('keyPath').eql(['body']);
+		});
+		it ('should come back with __proto__ fields as keys.', async () => {
+			const form = new FormData();
+			form.append('__proto__', new File(['content'], 'test.txt'));
+			form.append('name', 'test');
+			const body = await web.parse(post(form));
+			expect(Object.getPrototypeOf(body)).to.equal(Object.prototype);
+			expect(Object.keys(body)).to.eql(['__proto__', 'name']);
+			expect(Object.keys(await web.parse(post(new URLSearchParams('__proto__=x&name=test'))))).to.eql(['__proto__', 'name']);
+		});
+	});
+	describe('request', function() {
+		it ('should come back with error if body has __proto__ field.', () => {
+			return expect(web.request(post(new URLSearchParams('__proto__=x&name=test')), { body: { 'name': String } }))
+				.to.eventually.be.rejectedWith('Unknown key.')
+				.and.to.have.property('keyPath').eql(['body', '__proto__']);
+		});
+		it ('should come back with validated parts.', async () => {
+			const form = new FormData();
+			form.append('name', 'test');
+			form.append('file', new File(['content'], 'test.txt'));
+			const { query, body, headers } = await web.request(post(form, { 'x-api-key': 'key' }), {
+				query: { 'page': Number, 'tag': [String] },
+				body: { 'name': { type: String, required: true }, 'file': { type: File, required: true } },
+				headers: { 'X-Api-Key': String }
+			});
+			expect(query).to.eql({ page: 2, tag: ['a', 'b'] });
+			expect(body).to.have.property('name', 'test');
+			expect(body.file).to.be.instanceOf(File);
+			expect(headers).to.eql({ 'X-Api-Key': 'key' });
+		});
+		it ('should throw validation error with key path of failing part.', async () => {
+			const error = await web.request(post(new URLSearchParams('file=test')), { body: { 'file': File } }).catch((error) => error);
+			expect(error).to.be.instanceOf(ValidationError);
+			expect(error).to.have.property('keyPath').eql(['body', 'file']);
+			expect(error).to.have.property('message', 'Is not of type file.');
+		});
+	});
+	describe('response', function() {
+		it ('should come back with validated JSON.', async () => {
+			expect(await web.response(Response.json({ id: '1' }), { 'id': Number })).to.eql({ id: 1 });
+		});
+		it ('should throw validation error with key path of response.', async () => {
+			const error = await web.response(Response.json({}), { 'id': { type: Number, required: true } }).catch((error) => error);
+			expect(error).to.be.instanceOf(ValidationError);
+			expect(error).to.have.property('keyPath').eql(['response', 'id']);
+		});
+	});
+});